@@ -1,9 +1,42 @@
 // Background service worker: receives requests from the content script to generate a reply.
-// It reads apiBase, apiKey, and model from chrome.storage and calls the configured Gemini endpoint.
-// IMPORTANT: Do NOT hardcode your API key. Put it in the extension popup (chrome.storage.local).
+// It reads apiBase, apiKey, provider and model from chrome.storage and calls the configured endpoint
+// (Google Gemini, any OpenAI-compatible chat completions API, or a local Ollama server).
+// IMPORTANT: Do NOT hardcode your API key. Put it in the extension popup (chrome.storage.local,
+// optionally passphrase-encrypted - then the unlocked key is read from chrome.storage.session).
+
+// Name of the long-lived port the content script opens for (streaming) generation
+const GENERATE_PORT_NAME = "grg-generate";
+
+// In-flight generations by request ID, so the content script can cancel them
+const activeGenerations = new Map(); // requestId -> AbortController
+
+// Cross-tab request queue: every tab's generations wait here for a slot so that several Gmail
+// tabs together stay within the concurrency limit from the popup
+const generationQueue = []; // Waiting entries, first in line first
+const queueState = { running: 0, concurrency: 2 };
+
+// When each API request of the last minute was sent, across all tabs, for the requests-per-minute limit
+const recentApiRequests = [];
+
+// Budget counters are read and written through this chain one update at a time (see withBudgetLock)
+let budgetLock = Promise.resolve();
+// Generations that passed the budget check but haven't been recorded yet, by budget usage key
+const reservedBudgetRequests = new Map();
+
+// Requests answered by the mock provider since the worker started; decides which ones fail
+let mockRequestCount = 0;
 
 // Handle extension install/update - migrate logs and set defaults
 chrome.runtime.onInstalled.addListener(async (details) => {
+  // Seed the editable price table used for cost estimates and the built-in sampling presets
+  const { modelPrices, generationPresets } = await chrome.storage.local.get(["modelPrices", "generationPresets"]);
+  if (!modelPrices) {
+    await chrome.storage.local.set({ modelPrices: DEFAULT_MODEL_PRICES });
+  }
+  if (!generationPresets) {
+    await chrome.storage.local.set({ generationPresets: DEFAULT_GENERATION_PRESETS });
+  }
+
   if (details.reason === 'install') {
     // First install - set default logging to enabled
     await chrome.storage.sync.set({ loggingEnabled: true });
@@ -35,12 +68,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message && message.type === "GENERATE_REPLY") {
     // message.payload: { prompt: string, maxTokens?: number }
     generateReply(message.payload).then((result) => {
-      sendResponse({ ok: true, text: result });
+      sendResponse({ ok: true, ...result });
     }).catch((err) => {
       // Improved error handling
       const errorMessage = err && err.message ? err.message : (typeof err === 'string' ? err : String(err));
       console.error("Gmail Reply Generator: Generate error:", errorMessage, err);
-      sendResponse({ ok: false, error: errorMessage });
+      sendResponse({ ok: false, error: errorMessage, budget: err && err.budget });
     });
     // Indicate async response
     return true;
@@ -48,7 +81,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   if (message && message.type === "CHECK_CONNECTION") {
     // Test connection by making a minimal API call
-    checkConnection().then((result) => {
+    checkConnection(message.profile).then((result) => {
       sendResponse({ ok: true, message: result });
     }).catch((err) => {
       const errorMessage = err && err.message ? err.message : (typeof err === 'string' ? err : String(err));
@@ -59,6 +92,65 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   
+  if (message && message.type === "GET_CONTEXT_BUDGET") {
+    // How many prompt tokens the content script may spend on the email for this profile's model chain
+    getContextBudget(message.profile).then((result) => {
+      sendResponse({ ok: true, ...result });
+    }).catch((err) => {
+      const errorMessage = err && err.message ? err.message : (typeof err === 'string' ? err : String(err));
+      console.error("Gmail Reply Generator: Context budget error:", errorMessage, err);
+      sendResponse({ ok: false, error: errorMessage });
+    });
+    // Indicate async response
+    return true;
+  }
+
+  if (message && message.type === "CANCEL_GENERATION") {
+    // Abort the fetch for this request; the generation port then reports it as cancelled
+    const controller = activeGenerations.get(message.requestId);
+    if (controller) {
+      console.log("Gmail Reply Generator: Cancelling generation", message.requestId);
+      controller.abort();
+    }
+    sendResponse({ ok: true, cancelled: !!controller });
+    return;
+  }
+
+  if (message && message.type === "LIST_MODELS") {
+    // message.overrides: unsaved { provider, apiBase, apiKey } from the popup; message.profile: the profile shown there
+    listModels(message.overrides || {}, message.profile).then((result) => {
+      sendResponse({ ok: true, provider: result.provider, models: result.models });
+    }).catch((err) => {
+      const errorMessage = err && err.message ? err.message : (typeof err === 'string' ? err : String(err));
+      console.error("Gmail Reply Generator: List models error:", errorMessage, err);
+      sendResponse({ ok: false, error: errorMessage });
+    });
+    // Indicate async response
+    return true;
+  }
+
+  if (message && message.type === "CACHE_STATS") {
+    getResponseCacheStats().then((stats) => {
+      sendResponse({ ok: true, ...stats });
+    }).catch((err) => {
+      console.error("Gmail Reply Generator: Cache stats error:", err);
+      sendResponse({ ok: false, error: err.message || String(err) });
+    });
+    // Indicate async response
+    return true;
+  }
+
+  if (message && message.type === "CLEAR_CACHE") {
+    clearResponseCache().then(() => {
+      sendResponse({ ok: true });
+    }).catch((err) => {
+      console.error("Gmail Reply Generator: Clear cache error:", err);
+      sendResponse({ ok: false, error: err.message || String(err) });
+    });
+    // Indicate async response
+    return true;
+  }
+
   if (message && message.type === "DOWNLOAD_LOGS") {
     // Download logs as JSON file
     downloadLogs().then(() => {
@@ -72,300 +164,1901 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-// Generic generator — uses user-configured apiBase and apiKey from storage.
-// We purposely keep request structure generic — adjust to your Gemini endpoint format if needed.
-async function generateReply(payload) {
-  const stored = await chrome.storage.local.get(["apiBase", "apiKey", "model", "maxTokens"]);
-  const apiBase = (stored.apiBase || "").trim();
-  const apiKey = (stored.apiKey || "").trim();
-  const model = stored.model || "gemini-2.5-pro";
-  const maxTokens = stored.maxTokens || 4096;
+// Streaming generation runs over a long-lived port: the content script posts one
+// GENERATE_REPLY message and gets back "chunk" and "status" messages followed by "done" or "error".
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== GENERATE_PORT_NAME) return;
+
+  // The tab may close or navigate mid-stream; stop posting (and abort the request) once the port is gone
+  let connected = true;
+  const controllers = [];
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controllers.forEach(controller => controller.abort());
+  });
+  const post = (msg) => {
+    if (!connected) return;
+    try {
+      port.postMessage(msg);
+    } catch (e) {
+      connected = false;
+    }
+  };
+
+  port.onMessage.addListener((message) => {
+    if (!message || message.type !== "GENERATE_REPLY") return;
+
+    const requestId = message.requestId || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const controller = new AbortController();
+    controllers.push(controller);
+    activeGenerations.set(requestId, controller);
+
+    generateReply(message.payload, {
+      onChunk: (text) => post({ type: "chunk", text: text }),
+      onStatus: (text) => post({ type: "status", text: text }),
+      onQueuePosition: (position) => post({ type: "queued", position: position }),
+      signal: controller.signal
+    }).then((result) => {
+      post({ type: "done", ...result });
+    }).catch((err) => {
+      const errorMessage = err && err.message ? err.message : (typeof err === 'string' ? err : String(err));
+      if (err && err.cancelled) {
+        console.log("Gmail Reply Generator: Generation cancelled", requestId);
+      } else {
+        console.error("Gmail Reply Generator: Generate error:", errorMessage, err);
+      }
+      post({ type: "error", error: errorMessage, cancelled: !!(err && err.cancelled), budget: err && err.budget });
+    }).finally(() => {
+      activeGenerations.delete(requestId);
+    });
+  });
+});
+
+// Default price table for cost estimates, in USD per 1M tokens (standard, non-batch pricing).
+// Seeded into chrome.storage.local on install so it can be edited in the popup.
+const DEFAULT_MODEL_PRICES = {
+  "gemini-2.5-pro": { input: 1.25, output: 10.00 },
+  "gemini-2.5-flash": { input: 0.30, output: 2.50 },
+  "gemini-2.0-flash": { input: 0.10, output: 0.40 },
+  "gemini-1.5-pro": { input: 1.25, output: 5.00 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.30 },
+  "gpt-4o": { input: 2.50, output: 10.00 },
+  "gpt-4o-mini": { input: 0.15, output: 0.60 },
+  "gpt-4.1-mini": { input: 0.40, output: 1.60 }
+};
+
+// Input context windows in tokens, used when the provider's model list didn't report one.
+// Looked up like prices: exact id first, then the longest matching prefix.
+const DEFAULT_CONTEXT_WINDOWS = {
+  "gemini-2.5-pro": 1048576,
+  "gemini-2.5-flash": 1048576,
+  "gemini-2.0-flash": 1048576,
+  "gemini-1.5-pro": 2097152,
+  "gemini-1.5-flash": 1048576,
+  "gpt-4o": 128000,
+  "gpt-4.1": 1047576
+};
+// Unknown models; Ollama is asked for this window explicitly via options.num_ctx
+const FALLBACK_CONTEXT_WINDOW = 8192;
+const OLLAMA_CONTEXT_WINDOW = 4096;
+
+// Default cap on the prompt tokens spent per reply, so a 1M-token model doesn't send a whole mailbox
+const DEFAULT_MAX_CONTEXT_TOKENS = 8000;
+
+// Built-in sampling presets, seeded into chrome.storage.local on install. Each preset may set
+// temperature, topP, topK and stopSequences; anything left out uses the provider's default.
+const DEFAULT_GENERATION_PRESETS = {
+  "Default": {},
+  "Deterministic": { temperature: 0, topP: 1, topK: 1 },
+  "Creative": { temperature: 1.2, topP: 0.95, topK: 64 }
+};
+
+// Schema for structured reply mode (JSON Schema; converted for Gemini by toGeminiSchema)
+const REPLY_SCHEMA = {
+  type: "object",
+  properties: {
+    subject: { type: "string", description: "A short suggested subject line for the reply" },
+    body: { type: "string", description: "The reply email body only - no subject line, headings or notes" },
+    questions: { type: "array", items: { type: "string" }, description: "Questions the sender asked that the reply needs to answer" },
+    confidence: { type: "number", description: "From 0 to 1: how sure you are that the reply answers the email correctly" },
+    needsInput: { type: "boolean", description: "True if the reply depends on facts only the user knows, such as dates, prices or decisions" }
+  },
+  required: ["subject", "body", "questions", "confidence", "needsInput"],
+  additionalProperties: false
+};
+
+// Added to the system instruction in structured reply mode
+const JSON_REPLY_INSTRUCTION = `
+
+Respond with a JSON object: put a suggested subject line in "subject" and ONLY the email body in "body". List the sender's questions in "questions". Set "confidence" from 0 to 1, and set "needsInput" to true when the reply depends on information only the user has.`;
+
+// chrome.storage.local key for the counters budgets are checked against:
+// { day, requests, month, tokens, spend } - requests reset daily, tokens and spend monthly.
+// Named profiles keep their own counters under "budgetUsage:{profile}".
+const BUDGET_USAGE_KEY = "budgetUsage";
+
+// Settings profiles: the top-level settings are the "Default" profile, and
+// chrome.storage.local "profiles" holds named ones ({ name: { ...settings, accounts } })
+// that replace these keys for the Gmail accounts they are mapped to
+const DEFAULT_PROFILE = "Default";
+const PROFILE_SETTING_KEYS = ["provider", "apiBase", "apiKey", "apiKeyEncrypted", "customHeaders", "urlTemplate", "model", "fallbackModels",
+  "maxTokens", "maxContextTokens", "toneMode", "maxRequestsPerDay", "maxTokensPerMonth", "maxSpendPerMonth",
+  "personaName", "personaRole", "personaCompany", "signOff", "signature", "appendSignature"];
+
+// chrome.storage.session key holding a profile's unlocked (decrypted) API key
+function sessionApiKeyName(profileName) {
+  return !profileName || profileName === DEFAULT_PROFILE ? "apiKey" : `apiKey:${profileName}`;
+}
+
+// Reply template for the mock provider. {sender} is the sender's name, {thanks} an opening line
+// (different for each variant), {answers} a line per question found in the email and
+// {questions} the questions themselves.
+const DEFAULT_MOCK_TEMPLATE = `Hi {sender},
+
+{thanks}{answers}
+
+Best regards`;
+const MOCK_OPENERS = ["Thanks for your email.", "Thanks for getting in touch.", "Good to hear from you.", "Thanks for the note."];
+
+// chrome.storage.local key for the model lists fetched from each provider
+const MODEL_CACHE_KEY = "modelCache";
+
+const TRUNCATED_NOTE = "\n\n[Response was truncated. Increase maxTokens in settings for full reply.]";
+
+// Provider adapters. Each adapter turns our { systemInstruction, userPrompt } prompt into the
+// request its API expects and pulls the reply text back out of the response JSON.
+const PROVIDERS = {
+  // Google Gemini API (generativelanguage.googleapis.com) with system instruction support
+  gemini: {
+    label: "Google Gemini",
+    supportsCandidateCount: true,
+    streamFormat: "sse",
+    truncationReason: "MAX_TOKENS",
+    buildRequest(config, prompt, maxTokens, stream) {
+      const base = config.apiBase.replace(/\/$/, "");
+      const params = config.generationParams || {};
+      const body = {
+        contents: [{
+          parts: [{ text: prompt.userPrompt }]
+        }],
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          // Sampling parameters from the chosen preset (unset ones are dropped by JSON.stringify)
+          temperature: params.temperature,
+          topP: params.topP,
+          topK: params.topK,
+          stopSequences: params.stopSequences && params.stopSequences.slice(0, 5) // Gemini allows up to 5
+        }
+      };
+
+      // Ask for several drafts in one call
+      if (config.variants > 1) {
+        body.generationConfig.candidateCount = config.variants;
+      }
+
+      // Structured reply mode: constrain the output to the reply schema
+      if (config.jsonReplyMode) {
+        body.generationConfig.responseMimeType = "application/json";
+        body.generationConfig.responseSchema = toGeminiSchema(REPLY_SCHEMA);
+      }
+
+      // Thinking budget for models that think (2.5 and later). Other models reject thinkingConfig.
+      if (supportsThinking(config.model) && (config.thinkingBudget !== null || config.includeThoughts)) {
+        body.generationConfig.thinkingConfig = {
+          thinkingBudget: config.thinkingBudget !== null ? config.thinkingBudget : undefined,
+          includeThoughts: config.includeThoughts || undefined
+        };
+      }
+
+      // Per-category block thresholds from the popup; categories left on "Default" use the API default
+      const safetySettings = Object.entries(config.safetySettings || {})
+        .filter(([, threshold]) => threshold)
+        .map(([category, threshold]) => ({ category: category, threshold: threshold }));
+      if (safetySettings.length > 0) {
+        body.safetySettings = safetySettings;
+      }
+
+      // Add system instruction if provided (supported in Gemini 1.5+ and 2.0+)
+      if (prompt.systemInstruction) {
+        body.systemInstruction = {
+          parts: [{ text: prompt.systemInstruction }]
+        };
+      }
+
+      // streamGenerateContent with alt=sse sends one GenerateContentResponse per SSE event
+      const method = stream ? "streamGenerateContent?alt=sse" : "generateContent";
+
+      // The key goes in a header rather than ?key= so it never shows up in URLs we log
+      return {
+        url: `${base}/models/${encodeURIComponent(config.model)}:${method}`,
+        headers: { "Content-Type": "application/json", "x-goog-api-key": config.apiKey },
+        body: body
+      };
+    },
+    // Returns one reply text per candidate (several when candidateCount > 1)
+    parseResponse(json, maxTokens) {
+      // Google Gemini API format: { candidates: [{ content: { parts: [{ text: "..." }] } }] }
+      if (json.candidates && Array.isArray(json.candidates) && json.candidates[0]) {
+        return collectVariants(json.candidates, (candidate) => this.parseCandidate(candidate, json, maxTokens));
+      }
+
+      // The prompt itself was blocked - no candidates come back at all
+      if (json.promptFeedback && json.promptFeedback.blockReason) {
+        throw createSafetyError(json.promptFeedback.blockReason, json.promptFeedback.safetyRatings, true);
+      }
+
+      // Some Gemini proxies return other shapes:
+      // - { output: [{ content: "..." }] }
+      // - { text: "..." }
+      // - { generations: [{ text: "..." }] }
+      if (json.output && Array.isArray(json.output) && json.output[0].content) {
+        return [json.output[0].content];
+      }
+      if (json.text) {
+        return [json.text];
+      }
+      if (json.generations && Array.isArray(json.generations) && json.generations[0].text) {
+        return [json.generations[0].text];
+      }
+
+      // Try to extract any text we can find in the response
+      const responseStr = JSON.stringify(json);
+      if (responseStr.includes('"text"')) {
+        const textMatch = responseStr.match(/"text"\s*:\s*"([^"]+)"/);
+        if (textMatch && textMatch[1]) {
+          return [textMatch[1]];
+        }
+      }
+
+      return [];
+    },
+    parseCandidate(candidate, json, maxTokens) {
+      // Extract text from parts array first (even if truncated)
+      if (candidate.content && candidate.content.parts && Array.isArray(candidate.content.parts)) {
+        // Combine all text parts (in case there are multiple); thought summaries are not part of the reply
+        const textParts = candidate.content.parts
+          .filter(part => part && part.text && !part.thought)
+          .map(part => part.text)
+          .join("");
+
+        if (textParts) {
+          // If it was truncated, add a note but still return the text
+          if (candidate.finishReason === "MAX_TOKENS") {
+            console.warn("Gmail Reply Generator: Response was truncated. Consider increasing maxTokens.");
+            return textParts + TRUNCATED_NOTE;
+          }
+          // Stopped part-way by a safety filter - keep what was written and say why it ends early
+          if (SAFETY_FINISH_REASONS.includes(candidate.finishReason)) {
+            return textParts + safetyStoppedNote(candidate.finishReason, candidate.safetyRatings);
+          }
+          return textParts;
+        }
+      }
+
+      // Fallback: check if content is directly a string
+      if (candidate.content && typeof candidate.content === 'string') {
+        return candidate.content;
+      }
+
+      // If we have a finishReason but no text, check usage metadata for details
+      if (candidate.finishReason === "MAX_TOKENS") {
+        const usage = json.usageMetadata;
+        const details = usage ? `Prompt: ${usage.promptTokenCount || 0} tokens, Thinking: ${usage.thoughtsTokenCount || 0} tokens, Total: ${usage.totalTokenCount || 0} tokens` : "";
+        const thinkingTip = usage && usage.thoughtsTokenCount
+          ? " or set a lower thinking budget so thinking can't use up the whole limit"
+          : "";
+        throw new Error(`Response hit token limit (${maxTokens}). ${details}\n\nTry increasing maxTokens to 4096 or higher in extension settings${thinkingTip}.`);
+      }
+
+      if (SAFETY_FINISH_REASONS.includes(candidate.finishReason)) {
+        throw createSafetyError(candidate.finishReason, candidate.safetyRatings, false);
+      }
+
+      // Other finish reasons
+      if (candidate.finishReason) {
+        throw new Error(`Response finished with reason: ${candidate.finishReason}. No text was generated.`);
+      }
+
+      return null;
+    },
+    // Thought summary of the first candidate (only sent when includeThoughts is on)
+    parseThoughts(json) {
+      const candidate = json.candidates && json.candidates[0];
+      const parts = candidate && candidate.content && Array.isArray(candidate.content.parts) ? candidate.content.parts : [];
+      return parts.filter(part => part && part.thought && part.text).map(part => part.text).join("") || null;
+    },
+    buildListModelsRequest(config, pageToken) {
+      const base = config.apiBase.replace(/\/$/, "");
+      const page = pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : "";
+      return {
+        method: "GET",
+        url: `${base}/models?pageSize=1000${page}`,
+        headers: { "x-goog-api-key": config.apiKey }
+      };
+    },
+    parseModelList(json) {
+      // { models: [{ name: "models/gemini-1.5-flash", inputTokenLimit, outputTokenLimit, supportedGenerationMethods }] }
+      const models = (json.models || [])
+        .filter(m => Array.isArray(m.supportedGenerationMethods) && m.supportedGenerationMethods.includes("generateContent"))
+        .map(m => ({
+          id: m.name.replace(/^models\//, ""),
+          displayName: m.displayName || null,
+          inputTokenLimit: m.inputTokenLimit || null,
+          outputTokenLimit: m.outputTokenLimit || null
+        }));
+      return { models: models, nextPageToken: json.nextPageToken || null };
+    },
+    parseStreamEvent(event) {
+      const candidate = event.candidates && event.candidates[0];
+      const parts = candidate && candidate.content && Array.isArray(candidate.content.parts)
+        ? candidate.content.parts
+        : [];
+      const promptBlock = event.promptFeedback && event.promptFeedback.blockReason;
+      const finishReason = (candidate && candidate.finishReason) || promptBlock || null;
+      return {
+        text: parts.filter(part => part && part.text && !part.thought).map(part => part.text).join(""),
+        thoughts: parts.filter(part => part && part.thought && part.text).map(part => part.text).join(""),
+        finishReason: finishReason,
+        // Why a safety filter stopped the prompt or the reply, for a readable error
+        block: promptBlock
+          ? { reason: promptBlock, safetyRatings: event.promptFeedback.safetyRatings, inPrompt: true }
+          : SAFETY_FINISH_REASONS.includes(finishReason)
+            ? { reason: finishReason, safetyRatings: candidate.safetyRatings, inPrompt: false }
+            : null,
+        // Every event repeats the running usageMetadata; the last one has the totals
+        usage: this.parseUsage(event)
+      };
+    },
+    parseUsage(json) {
+      const usage = json.usageMetadata;
+      if (!usage) return null;
+      return {
+        promptTokens: usage.promptTokenCount || 0,
+        thinkingTokens: usage.thoughtsTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0
+      };
+    }
+  },
+
+  // OpenAI-compatible chat completions API (OpenAI, Azure-style proxies, vLLM, LiteLLM, ...)
+  openai: {
+    label: "OpenAI-compatible",
+    supportsCandidateCount: true,
+    streamFormat: "sse",
+    truncationReason: "length",
+    buildRequest(config, prompt, maxTokens, stream) {
+      const base = config.apiBase.replace(/\/$/, "");
+      const params = config.generationParams || {};
+      const messages = [];
+      if (prompt.systemInstruction) {
+        messages.push({ role: "system", content: prompt.systemInstruction });
+      }
+      messages.push({ role: "user", content: prompt.userPrompt });
+
+      return {
+        url: `${base}/chat/completions`,
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Bearer ${config.apiKey}`
+        },
+        body: {
+          model: config.model,
+          messages: messages,
+          max_tokens: maxTokens,
+          // Chat completions have no top_k, so a preset's topK is ignored here
+          temperature: params.temperature,
+          top_p: params.topP,
+          stop: params.stopSequences && params.stopSequences.slice(0, 4), // OpenAI allows up to 4
+          response_format: config.jsonReplyMode
+            ? { type: "json_schema", json_schema: { name: "email_reply", strict: true, schema: REPLY_SCHEMA } }
+            : undefined,
+          stream: !!stream,
+          // One choice per requested draft
+          n: config.variants > 1 ? config.variants : undefined,
+          stream_options: stream ? { include_usage: true } : undefined
+        }
+      };
+    },
+    // Returns one reply text per choice (several when n > 1)
+    parseResponse(json, maxTokens) {
+      // OpenAI format: { choices: [{ message: { content: "..." }, finish_reason: "stop" }] }
+      if (json.choices && Array.isArray(json.choices) && json.choices[0]) {
+        return collectVariants(json.choices, (choice) => this.parseChoice(choice, json, maxTokens));
+      }
+
+      return [];
+    },
+    parseChoice(choice, json, maxTokens) {
+      const content = choice.message ? choice.message.content : null;
+
+      if (content) {
+        if (choice.finish_reason === "length") {
+          console.warn("Gmail Reply Generator: Response was truncated. Consider increasing maxTokens.");
+          return content + TRUNCATED_NOTE;
+        }
+        return content;
+      }
+
+      if (choice.finish_reason === "length") {
+        const usage = json.usage;
+        const details = usage ? `Prompt: ${usage.prompt_tokens || 0} tokens, Completion: ${usage.completion_tokens || 0} tokens` : "";
+        throw new Error(`Response hit token limit (${maxTokens}). ${details}\n\nTry increasing maxTokens in extension settings.`);
+      }
+
+      if (choice.finish_reason) {
+        throw new Error(`Response finished with reason: ${choice.finish_reason}. No text was generated.`);
+      }
+
+      return null;
+    },
+    buildListModelsRequest(config) {
+      const base = config.apiBase.replace(/\/$/, "");
+      return {
+        method: "GET",
+        url: `${base}/models`,
+        headers: { "Authorization": `Bearer ${config.apiKey}` }
+      };
+    },
+    parseModelList(json) {
+      // { data: [{ id: "gpt-4o-mini", ... }] } - token limits are not part of this API
+      const models = (json.data || [])
+        .map(m => ({ id: m.id, displayName: null, inputTokenLimit: null, outputTokenLimit: null }))
+        .sort((a, b) => a.id.localeCompare(b.id));
+      return { models: models, nextPageToken: null };
+    },
+    parseStreamEvent(event) {
+      // Streamed chunks carry deltas: { choices: [{ delta: { content: "..." }, finish_reason: null }] }
+      const choice = event.choices && event.choices[0];
+      return {
+        text: (choice && choice.delta && choice.delta.content) || "",
+        finishReason: (choice && choice.finish_reason) || null,
+        // Only the final chunk carries usage (requested with stream_options.include_usage)
+        usage: this.parseUsage(event)
+      };
+    },
+    parseUsage(json) {
+      const usage = json.usage;
+      if (!usage) return null;
+      // completion_tokens includes any reasoning tokens; report those separately
+      const reasoning = (usage.completion_tokens_details && usage.completion_tokens_details.reasoning_tokens) || 0;
+      return {
+        promptTokens: usage.prompt_tokens || 0,
+        thinkingTokens: reasoning,
+        outputTokens: Math.max(0, (usage.completion_tokens || 0) - reasoning)
+      };
+    }
+  },
+
+  // Local model server (Ollama /api/chat). Runs on this machine and needs no API key,
+  // so nothing in the email ever leaves the laptop.
+  ollama: {
+    label: "Local (Ollama)",
+    requiresApiKey: false,
+    defaultApiBase: "http://localhost:11434",
+    streamFormat: "ndjson",
+    truncationReason: "length",
+    buildRequest(config, prompt, maxTokens, stream) {
+      const base = config.apiBase.replace(/\/$/, "").replace(/\/api$/, "");
+      const params = config.generationParams || {};
+      const messages = [];
+      if (prompt.systemInstruction) {
+        messages.push({ role: "system", content: prompt.systemInstruction });
+      }
+      messages.push({ role: "user", content: prompt.userPrompt });
+
+      const headers = { "Content-Type": "application/json" };
+      // A key is optional - only sent when the local server sits behind an authenticating proxy
+      if (config.apiKey) {
+        headers["Authorization"] = `Bearer ${config.apiKey}`;
+      }
+
+      return {
+        url: `${base}/api/chat`,
+        headers: headers,
+        body: {
+          model: config.model,
+          messages: messages,
+          stream: !!stream,
+          // Ollama takes a JSON schema directly as the output format
+          format: config.jsonReplyMode ? REPLY_SCHEMA : undefined,
+          options: {
+            num_predict: maxTokens,
+            // Ask for the window getContextBudget plans against rather than the server's default
+            num_ctx: contextWindowForModel(config, config.model),
+            temperature: params.temperature,
+            top_p: params.topP,
+            top_k: params.topK,
+            stop: params.stopSequences
+          }
+        }
+      };
+    },
+    parseResponse(json, maxTokens) {
+      // /api/chat format: { message: { role: "assistant", content: "..." }, done_reason: "stop" }
+      // /api/generate format: { response: "...", done_reason: "stop" }
+      const content = json.message && typeof json.message.content === 'string'
+        ? json.message.content
+        : json.response;
+
+      if (content) {
+        if (json.done_reason === "length") {
+          console.warn("Gmail Reply Generator: Response was truncated. Consider increasing maxTokens.");
+          return [content + TRUNCATED_NOTE];
+        }
+        return [content];
+      }
+
+      if (json.done_reason === "length") {
+        throw new Error(`Response hit token limit (${maxTokens}). Prompt: ${json.prompt_eval_count || 0} tokens\n\nTry increasing maxTokens in extension settings.`);
+      }
+
+      return [];
+    },
+    buildListModelsRequest(config) {
+      const base = config.apiBase.replace(/\/$/, "").replace(/\/api$/, "");
+      const headers = {};
+      if (config.apiKey) {
+        headers["Authorization"] = `Bearer ${config.apiKey}`;
+      }
+      return { method: "GET", url: `${base}/api/tags`, headers: headers };
+    },
+    parseModelList(json) {
+      // /api/tags lists the locally pulled models: { models: [{ name: "llama3.1:latest", ... }] }
+      const models = (json.models || [])
+        .map(m => ({ id: m.name, displayName: null, inputTokenLimit: null, outputTokenLimit: null }));
+      return { models: models, nextPageToken: null };
+    },
+    parseStreamEvent(event) {
+      // Each NDJSON line is a partial /api/chat response; the last one has done: true
+      if (event.error) {
+        throw new Error(event.error);
+      }
+      return {
+        text: (event.message && event.message.content) || event.response || "",
+        finishReason: event.done ? (event.done_reason || "stop") : null,
+        usage: event.done ? this.parseUsage(event) : null
+      };
+    },
+    parseUsage(json) {
+      if (json.prompt_eval_count === undefined && json.eval_count === undefined) return null;
+      return {
+        promptTokens: json.prompt_eval_count || 0,
+        thinkingTokens: 0,
+        outputTokens: json.eval_count || 0
+      };
+    }
+  },
+
+  // Built-in mock for demos and offline testing. It never touches the network: replies are
+  // built from a template (see generateMockReply) after a delay, and a share of requests fail.
+  mock: {
+    label: "Mock (offline demo)",
+    requiresApiKey: false,
+    defaultApiBase: "mock://offline",
+    generate(config, prompt, options) {
+      return generateMockReply(config, prompt, options);
+    },
+    listModels() {
+      return [{ id: "mock-template", displayName: "Template replies", inputTokenLimit: null, outputTokenLimit: null }];
+    }
+  }
+};
+
+// Parse every candidate/choice of a response, keeping the ones that produced text.
+// If none did, rethrow the first one's error so the user sees why.
+function collectVariants(items, parseItem) {
+  const texts = [];
+  let firstError = null;
+  for (const item of items) {
+    try {
+      const text = parseItem(item);
+      if (text) texts.push(text);
+    } catch (err) {
+      if (!firstError) firstError = err;
+    }
+  }
+  if (texts.length === 0 && firstError) {
+    throw firstError;
+  }
+  return texts;
+}
+
+// Pick the provider adapter: an explicit choice from the popup wins, otherwise
+// detect Google's official Gemini API from the base URL.
+function resolveProvider(providerSetting, apiBase) {
+  if (providerSetting && PROVIDERS[providerSetting]) {
+    return providerSetting;
+  }
+  if (apiBase.includes("generativelanguage.googleapis.com")) {
+    return "gemini";
+  }
+  if (apiBase.startsWith("mock:")) {
+    return "mock";
+  }
+  // Ollama's default port
+  if (/^https?:\/\/(localhost|127\.0\.0\.1):11434(\/|$)/.test(apiBase)) {
+    return "ollama";
+  }
+  return "openai";
+}
+
+// Read and validate the API settings shared by generateReply, checkConnection and listModels.
+// overrides lets the popup try values it has not saved yet (empty values are ignored).
+// profileName picks a named settings profile; unknown names fall back to the Default profile.
+async function loadApiConfig(overrides = {}, profileName = DEFAULT_PROFILE) {
+  const stored = await chrome.storage.local.get(["apiBase", "apiKey", "model", "maxTokens", "maxContextTokens", "provider", "streamingEnabled", "maxRetries", "fallbackModels", "replyVariants", "modelPrices",
+    "maxRequestsPerDay", "maxTokensPerMonth", "maxSpendPerMonth", "safetySettings",
+    "generationPresets", "activePreset", "thinkingBudget", "includeThoughts", "jsonReplyMode",
+    "cacheEnabled", "cacheTtlMinutes", "cacheMaxEntries",
+    "maxConcurrentRequests", "maxRequestsPerMinute", "apiKeyEncrypted", "profiles", "customHeaders", "urlTemplate",
+    "mockDelayMs", "mockErrorRate", "mockReplyTemplate", MODEL_CACHE_KEY]);
+  const profile = profileName !== DEFAULT_PROFILE && stored.profiles && stored.profiles[profileName];
+  if (profile) {
+    // Profiles are saved whole, so a setting the profile leaves empty uses the built-in default
+    for (const key of PROFILE_SETTING_KEYS) {
+      stored[key] = profile[key];
+    }
+  }
+  for (const key of ["provider", "apiBase", "apiKey"]) {
+    if (overrides[key]) stored[key] = overrides[key];
+  }
+  // A passphrase-encrypted key is only readable once the popup has unlocked it into session storage
+  const keyLocked = !stored.apiKey && !!stored.apiKeyEncrypted;
+  if (keyLocked) {
+    const sessionKey = sessionApiKeyName(profile ? profileName : DEFAULT_PROFILE);
+    const session = await chrome.storage.session.get([sessionKey]);
+    stored.apiKey = session[sessionKey];
+  }
+  const config = {
+    profile: profile ? profileName : DEFAULT_PROFILE,
+    apiBase: (stored.apiBase || "").trim(),
+    apiKey: (stored.apiKey || "").trim(),
+    // Gateway settings: extra headers ({ name: value }) and a URL template such as "{apiBase}/tenant/acme{path}"
+    customHeaders: stored.customHeaders || {},
+    urlTemplate: (stored.urlTemplate || "").trim(),
+    model: stored.model || "gemini-2.5-pro",
+    maxTokens: stored.maxTokens || 4096,
+    // Prompt tokens allowed per reply; 0 = as much as the model's context window holds
+    maxContextTokens: Math.max(0, parseInt(stored.maxContextTokens ?? DEFAULT_MAX_CONTEXT_TOKENS, 10) || 0),
+    streamingEnabled: stored.streamingEnabled !== false, // Default to true
+    maxRetries: Math.min(MAX_RETRIES_LIMIT, Math.max(0, parseInt(stored.maxRetries ?? 3, 10) || 0)),
+    fallbackModels: Array.isArray(stored.fallbackModels) ? stored.fallbackModels : [],
+    variants: Math.min(MAX_VARIANTS, Math.max(1, parseInt(stored.replyVariants, 10) || 1)),
+    modelPrices: stored.modelPrices || DEFAULT_MODEL_PRICES,
+    safetySettings: stored.safetySettings || {}, // { HARM_CATEGORY_*: threshold } - Gemini only
+    presets: stored.generationPresets || DEFAULT_GENERATION_PRESETS,
+    activePreset: stored.activePreset || "Default",
+    // null = the model's default; -1 = dynamic; 0 = off (models that allow it)
+    thinkingBudget: Number.isInteger(stored.thinkingBudget) ? stored.thinkingBudget : null,
+    includeThoughts: !!stored.includeThoughts,
+    jsonReplyMode: !!stored.jsonReplyMode,
+    cacheEnabled: stored.cacheEnabled !== false, // Default to true
+    cacheTtlMinutes: Math.max(1, parseInt(stored.cacheTtlMinutes, 10) || 60),
+    cacheMaxEntries: Math.max(1, parseInt(stored.cacheMaxEntries, 10) || 100),
+    maxConcurrentRequests: Math.min(MAX_CONCURRENCY_LIMIT, Math.max(1, parseInt(stored.maxConcurrentRequests, 10) || 2)),
+    maxRequestsPerMinute: Math.max(0, parseInt(stored.maxRequestsPerMinute, 10) || 0), // 0 = no limit
+    // Mock provider: delay before the reply, share of requests that fail (percent) and the reply template
+    mock: {
+      delayMs: Math.max(0, parseInt(stored.mockDelayMs ?? 800, 10) || 0),
+      errorRate: Math.min(100, Math.max(0, parseFloat(stored.mockErrorRate) || 0)),
+      template: stored.mockReplyTemplate || DEFAULT_MOCK_TEMPLATE
+    },
+    // 0 means no limit
+    budgets: {
+      maxRequestsPerDay: Math.max(0, parseInt(stored.maxRequestsPerDay, 10) || 0),
+      maxTokensPerMonth: Math.max(0, parseInt(stored.maxTokensPerMonth, 10) || 0),
+      maxSpendPerMonth: Math.max(0, parseFloat(stored.maxSpendPerMonth) || 0)
+    }
+  };
+
+  config.provider = resolveProvider(stored.provider, config.apiBase);
+  const adapter = PROVIDERS[config.provider];
+
+  // Token limits from the last model list fetched for this provider, keyed by model id
+  const cached = stored[MODEL_CACHE_KEY] && stored[MODEL_CACHE_KEY][config.provider];
+  config.modelLimits = {};
+  if (cached && Array.isArray(cached.models)) {
+    for (const m of cached.models) {
+      config.modelLimits[m.id] = m;
+    }
+  }
+
+  // Local providers have a well-known default address
+  if (!config.apiBase && adapter.defaultApiBase) {
+    config.apiBase = adapter.defaultApiBase;
+  }
 
   // Better validation with specific messages
-  if (!apiBase) {
+  if (!config.apiBase) {
     console.error("Gmail Reply Generator: API base URL is missing");
     throw new Error("API base URL not set. Click the extension icon and configure it in the popup.");
   }
-  if (!apiKey) {
+  if (!config.apiKey && keyLocked && adapter.requiresApiKey !== false) {
+    console.error("Gmail Reply Generator: API key is locked");
+    const which = config.profile === DEFAULT_PROFILE ? "" : ` for profile "${config.profile}"`;
+    throw new Error(`API key${which} is locked. Click the extension icon, select the profile, enter your passphrase and click Unlock (once per browser session).`);
+  }
+  if (!config.apiKey && adapter.requiresApiKey !== false) {
     console.error("Gmail Reply Generator: API key is missing");
     throw new Error("API key not set. Click the extension icon and configure it in the popup.");
   }
-  
-  if (!payload || !payload.prompt) {
-    console.error("Gmail Reply Generator: Invalid payload - prompt is missing");
-    throw new Error("Invalid request: prompt is required.");
-  }
 
-  console.log("Gmail Reply Generator: Generating reply with model:", model, "maxTokens:", maxTokens);
+  return config;
+}
 
-  // Assemble endpoint URL.
-  // Detect if this is Google's official Gemini API (generativelanguage.googleapis.com)
-  const isGoogleGemini = apiBase.includes("generativelanguage.googleapis.com");
-  
-  let url, body, headers;
-  
-  if (isGoogleGemini) {
-    // Google Gemini API format with system instruction support
-    const base = apiBase.replace(/\/$/, "");
-    url = `${base}/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-    
-    // Check if prompt is an object with systemInstruction and userPrompt
-    // (new format) or just a string (old format for compatibility)
-    let systemInstruction = null;
-    let userPrompt = payload.prompt;
-    
-    if (typeof payload.prompt === 'object' && payload.prompt.systemInstruction && payload.prompt.userPrompt) {
-      systemInstruction = payload.prompt.systemInstruction;
-      userPrompt = payload.prompt.userPrompt;
+// Route a provider request through the gateway settings from the popup: the URL template
+// rebuilds the URL from {apiBase}, {path} (what the adapter appended to apiBase), {model}
+// and {provider}, and custom headers are added on top of the adapter's own, replacing any
+// with the same name. Header values may use {apiKey} to pass the model key under another name.
+function applyGateway(request, config) {
+  let url = request.url;
+  const base = config.apiBase.replace(/\/$/, "");
+  if (config.urlTemplate && url.startsWith(base)) {
+    const values = { apiBase: base, path: url.slice(base.length), model: encodeURIComponent(config.model), provider: config.provider };
+    url = config.urlTemplate.replace(/\{(apiBase|path|model|provider)\}/g, (match, name) => values[name]);
+  }
+
+  const headers = { ...request.headers };
+  for (const [name, value] of Object.entries(config.customHeaders)) {
+    for (const existing of Object.keys(headers)) {
+      if (existing.toLowerCase() === name.toLowerCase()) delete headers[existing];
     }
-    
-    body = {
-      contents: [{
-        parts: [{ text: userPrompt }]
-      }],
-      generationConfig: {
-        maxOutputTokens: maxTokens
-      }
+    headers[name] = String(value).split("{apiKey}").join(config.apiKey);
+  }
+  return { ...request, url: url, headers: headers };
+}
+
+// Accept both the { systemInstruction, userPrompt } object built by the content script
+// and a plain string prompt (old format, kept for compatibility)
+function normalizePrompt(prompt) {
+  if (typeof prompt === 'object' && prompt.userPrompt) {
+    return {
+      systemInstruction: prompt.systemInstruction || null,
+      userPrompt: prompt.userPrompt
     };
-    
-    // Add system instruction if provided (supported in Gemini 1.5+ and 2.0+)
-    if (systemInstruction) {
-      body.systemInstruction = {
-        parts: [{ text: systemInstruction }]
-      };
+  }
+  return { systemInstruction: null, userPrompt: String(prompt) };
+}
+
+// Retry settings for transient API failures (quota blips, overloaded backends)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000; // Never wait longer than this between attempts
+const MAX_RETRIES_LIMIT = 5;
+const MAX_CONCURRENCY_LIMIT = 5;
+
+// Most reply drafts we ask for in one generation
+const MAX_VARIANTS = 4;
+
+// Wait ms milliseconds; rejects with a cancellation error if signal aborts first
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createCancelledError());
+      return;
     }
-    
-    headers = {
-      "Content-Type": "application/json"
-    };
-  } else {
-    // Generic/other provider format
-    const base = apiBase.replace(/\/$/, "");
-    url = `${base}/models/${encodeURIComponent(model)}:generate`;
-    body = {
-      prompt: payload.prompt,
-      max_output_tokens: maxTokens
-    };
-    headers = {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${apiKey}`
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createCancelledError());
     };
+    const timer = setTimeout(() => {
+      // Don't pile up listeners on a signal that is reused for many waits (e.g. mock streaming)
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
+
+// Error used when the user cancels an in-flight generation
+function createCancelledError() {
+  const error = new Error("Generation cancelled.");
+  error.cancelled = true;
+  return error;
+}
+
+// Error used when a budget in the popup has been used up. error.budget tells the
+// content script which limit was hit and when it resets, so it can offer an override.
+function createBudgetError(reason, resetAt) {
+  const error = new Error(`Budget exhausted until ${resetAt.toLocaleString()}: ${reason}.`);
+  error.budget = { reason: reason, resetAt: resetAt.toISOString() };
+  return error;
+}
+
+// Parse a duration like "17s" or "1.5s" (google.protobuf.Duration JSON form) into milliseconds
+function parseDurationMs(value) {
+  const match = typeof value === 'string' && value.match(/^(\d+(?:\.\d+)?)s$/);
+  return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+}
+
+// Work out how long to wait before retrying a failed request.
+// Honors the Retry-After header and Gemini's RetryInfo error detail, otherwise uses
+// exponential backoff with full jitter. Returns null when the server asks us to wait
+// longer than MAX_RETRY_DELAY_MS, since retrying would just leave the user hanging.
+function getRetryDelay(res, errorJson, attempt) {
+  let serverDelay = null;
+
+  const retryAfter = res.headers.get("Retry-After");
+  if (retryAfter) {
+    // Either delay-seconds or an HTTP date
+    serverDelay = /^\d+$/.test(retryAfter.trim())
+      ? parseInt(retryAfter, 10) * 1000
+      : Math.max(0, new Date(retryAfter).getTime() - Date.now());
+    if (isNaN(serverDelay)) serverDelay = null;
   }
 
-  console.log("Gmail Reply Generator: Making request to:", url);
-  
-  let res;
-  try {
-    res = await fetch(url, {
-      method: "POST",
-      headers: headers,
-      body: JSON.stringify(body),
-    });
-  } catch (fetchError) {
-    // "Failed to fetch" usually means CORS, network, or wrong URL
-    console.error("Gmail Reply Generator: Fetch failed:", fetchError);
-    const errorMsg = fetchError.message || String(fetchError);
-    if (errorMsg.includes("Failed to fetch") || errorMsg.includes("NetworkError")) {
-      throw new Error(`Cannot connect to API. Check:\n1. API Base URL is correct: ${apiBase}\n2. You have internet connection\n3. The API endpoint allows requests from browser extensions\n\nFull error: ${errorMsg}`);
+  const details = errorJson && errorJson.error && Array.isArray(errorJson.error.details) ? errorJson.error.details : [];
+  const retryInfo = details.find(d => d && typeof d["@type"] === 'string' && d["@type"].endsWith("google.rpc.RetryInfo"));
+  if (retryInfo && serverDelay === null) {
+    serverDelay = parseDurationMs(retryInfo.retryDelay);
+  }
+
+  if (serverDelay !== null) {
+    return serverDelay <= MAX_RETRY_DELAY_MS ? serverDelay : null;
+  }
+
+  const backoff = Math.min(MAX_RETRY_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt));
+  return Math.round(Math.random() * backoff);
+}
+
+// Hide API keys in text we log or show: the configured key and gateway credentials
+// (custom headers named like auth/key/token/secret), plus anything that looks like a key
+// in a URL query or an Authorization header
+function redactSecrets(text, config) {
+  let redacted = String(text);
+  const secrets = [];
+  if (config && config.apiKey) {
+    secrets.push(config.apiKey);
+  }
+  if (config && config.customHeaders) {
+    for (const [name, value] of Object.entries(config.customHeaders)) {
+      // "Bearer abc" -> "abc", so the token is found on its own too
+      const secret = String(value).replace(/^(Bearer|Basic|Token)\s+/i, "");
+      if (/auth|key|token|secret/i.test(name) && secret.length >= 8 && !secret.includes("{apiKey}")) secrets.push(secret);
+    }
+  }
+  for (const secret of secrets) {
+    redacted = redacted.split(secret).join("[redacted]")
+      .split(encodeURIComponent(secret)).join("[redacted]");
+  }
+  return redacted
+    .replace(/([?&](?:key|api_key|access_token)=)[^&\s"']+/gi, "$1[redacted]")
+    .replace(/(Bearer\s+)[^\s"',]+/gi, "$1[redacted]");
+}
+
+// Turn an error response body into a readable message
+function describeApiError(status, text, errorJson, config) {
+  // Try to use the error JSON for better error messages
+  if (!errorJson) {
+    // If JSON parsing failed, use the raw text
+    return text ? text.substring(0, 300) : `API returned ${status}`;
+  }
+
+  if (errorJson.error && errorJson.error.message) {
+    let errorMessage = errorJson.error.message;
+    // If it's a model not found error, provide helpful suggestion
+    if (config.provider === "gemini" && (errorMessage.includes("is not found") || errorMessage.includes("not supported"))) {
+      errorMessage += `\n\nTry using "gemini-1.5-pro" or "gemini-1.5-flash" instead, or add fallback models in the extension popup settings.`;
+    }
+    return errorMessage;
+  }
+  if (errorJson.error) {
+    return typeof errorJson.error === 'string' ? errorJson.error : JSON.stringify(errorJson.error);
+  }
+  return `API returned ${status}`;
+}
+
+// Wait until one more API request fits in the requests-per-minute limit, then count it.
+// Every HTTP request takes one - retries, fallback models and Ollama's per-variant requests
+// included - so a limit set to the API quota keeps all of them under it.
+async function acquireRateToken(config, options = {}) {
+  if (!config.maxRequestsPerMinute) return;
+  for (;;) {
+    const now = Date.now();
+    while (recentApiRequests.length > 0 && now - recentApiRequests[0] >= 60000) {
+      recentApiRequests.shift();
     }
-    throw fetchError;
+    if (recentApiRequests.length < config.maxRequestsPerMinute) {
+      recentApiRequests.push(now);
+      return;
+    }
+    if (options.onStatus) {
+      options.onStatus("Waiting for the per-minute limit…");
+    }
+    await sleep(recentApiRequests[0] + 60000 - now, options.signal);
   }
+}
+
+// Send a provider request (POST unless request.method says otherwise) and return the successful response, turning network and
+// API failures into readable errors. 429/5xx responses are retried up to config.maxRetries
+// times; options.onStatus is told about each retry so the UI can show progress.
+// options.signal aborts the request (and any wait between retries). Every attempt first waits for
+// room under the requests-per-minute limit.
+async function fetchApi(request, config, options = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireRateToken(config, options);
+    let res;
+    try {
+      res = await fetch(request.url, {
+        method: request.method || "POST",
+        headers: request.headers,
+        body: request.body ? JSON.stringify(request.body) : undefined,
+        signal: options.signal
+      });
+    } catch (fetchError) {
+      if (options.signal && options.signal.aborted) {
+        throw createCancelledError();
+      }
+      // "Failed to fetch" usually means CORS, network, or wrong URL
+      const errorMsg = redactSecrets(fetchError.message || String(fetchError), config);
+      console.error("Gmail Reply Generator: Fetch failed:", errorMsg);
+      if ((errorMsg.includes("Failed to fetch") || errorMsg.includes("NetworkError")) && config.provider === "ollama") {
+        throw new Error(`Cannot connect to the local model server. Check:\n1. Ollama is running (ollama serve) at: ${config.apiBase}\n2. The model is pulled: ollama pull ${config.model}\n3. OLLAMA_ORIGINS allows chrome-extension://* requests\n\nFull error: ${errorMsg}`);
+      }
+      if (errorMsg.includes("Failed to fetch") || errorMsg.includes("NetworkError")) {
+        throw new Error(`Cannot connect to API. Check:\n1. API Base URL is correct: ${config.apiBase}\n2. You have internet connection\n3. The API endpoint allows requests from browser extensions\n\nFull error: ${errorMsg}`);
+      }
+      throw new Error(errorMsg);
+    }
+
+    if (res.ok) {
+      return res;
+    }
 
-  if (!res.ok) {
     const text = await res.text();
-    console.error("Gmail Reply Generator: API error response:", res.status, text);
-    
-    // Try to parse error JSON for better error messages
-    let errorMessage = `API returned ${res.status}`;
+    console.error("Gmail Reply Generator: API error response:", res.status, redactSecrets(text, config));
+
+    let errorJson = null;
     try {
-      const errorJson = JSON.parse(text);
-      if (errorJson.error && errorJson.error.message) {
-        errorMessage = errorJson.error.message;
-        // If it's a model not found error, provide helpful suggestion
-        if (errorMessage.includes("is not found") || errorMessage.includes("not supported")) {
-          errorMessage += `\n\nTry using "gemini-1.5-pro" or "gemini-1.5-flash" instead. Update the model in the extension popup settings.`;
+      errorJson = JSON.parse(text);
+    } catch (e) {
+      // Not JSON - describeApiError falls back to the raw text
+    }
+
+    if (attempt < config.maxRetries && RETRYABLE_STATUSES.includes(res.status)) {
+      const delay = getRetryDelay(res, errorJson, attempt);
+      if (delay !== null) {
+        console.warn(`Gmail Reply Generator: API returned ${res.status}, retrying in ${delay}ms (${attempt + 1}/${config.maxRetries})`);
+        if (options.onStatus) {
+          options.onStatus(`Retrying (${attempt + 1}/${config.maxRetries})…`);
         }
-      } else if (errorJson.error) {
-        errorMessage = JSON.stringify(errorJson.error);
+        await sleep(delay, options.signal);
+        continue;
       }
+      console.warn("Gmail Reply Generator: Server asked to wait longer than", MAX_RETRY_DELAY_MS, "ms - not retrying");
+    }
+
+    const error = new Error(redactSecrets(describeApiError(res.status, text, errorJson, config), config));
+    // Keep the status around so callers can decide whether to fall back to another model
+    error.status = res.status;
+    error.apiStatus = errorJson && errorJson.error && errorJson.error.status;
+    throw error;
+  }
+}
+
+// Send a provider request and return the parsed JSON body
+async function sendApiRequest(request, config, options = {}) {
+  const res = await fetchApi(request, config, options);
+  return res.json();
+}
+
+// Read a streamed response body and hand each decoded JSON event to onEvent.
+// "sse" streams carry JSON in `data:` lines; "ndjson" streams have one JSON object per line.
+async function readStream(res, format, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const handleLine = (rawLine) => {
+    let line = rawLine.trim();
+    if (!line) return;
+    if (format === "sse") {
+      // Ignore comments, event names and the OpenAI end-of-stream marker
+      if (!line.startsWith("data:")) return;
+      line = line.slice(5).trim();
+      if (line === "[DONE]") return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(line);
     } catch (e) {
-      // If JSON parsing fails, use the raw text
-      errorMessage = text.substring(0, 300);
+      console.warn("Gmail Reply Generator: Skipping unparseable stream line:", redactSecrets(line.substring(0, 200)));
+      return;
     }
-    
-    throw new Error(errorMessage);
+    if (event.error && event.error.message) {
+      throw new Error(redactSecrets(event.error.message));
+    }
+    onEvent(event);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(handleLine);
   }
+  buffer += decoder.decode();
+  handleLine(buffer);
+}
 
-  // Parse response — we try a few common shapes so the extension works with multiple Gemini setups.
-  const json = await res.json();
-  console.log("Gmail Reply Generator: Full API response:", JSON.stringify(json, null, 2));
+// Stream a reply, calling onChunk with each piece of text as it arrives.
+// Resolves with { text, usage, thoughts } once the stream ends.
+async function streamReply(adapter, request, config, onChunk, options = {}) {
+  const res = await fetchApi(request, config, options);
 
-  // Google Gemini API format: { candidates: [{ content: { parts: [{ text: "..." }] } }] }
-  if (json.candidates && Array.isArray(json.candidates) && json.candidates[0]) {
-    const candidate = json.candidates[0];
-    
-    // Extract text from parts array first (even if truncated)
-    if (candidate.content && candidate.content.parts && Array.isArray(candidate.content.parts)) {
-      // Combine all text parts (in case there are multiple)
-      const textParts = candidate.content.parts
-        .filter(part => part && part.text)
-        .map(part => part.text)
-        .join("");
-      
-      if (textParts) {
-        // If it was truncated, add a note but still return the text
-        if (candidate.finishReason === "MAX_TOKENS") {
-          console.warn("Gmail Reply Generator: Response was truncated. Consider increasing maxTokens.");
-          return textParts + "\n\n[Response was truncated. Increase maxTokens in settings for full reply.]";
-        }
-        return textParts;
+  let text = "";
+  let thoughts = "";
+  let finishReason = null;
+  let block = null;
+  let usage = null;
+  await readStream(res, adapter.streamFormat, (event) => {
+    const parsed = adapter.parseStreamEvent(event);
+    if (parsed.thoughts) {
+      // Thought summaries arrive before the reply itself
+      if (!thoughts && !text && options.onStatus) {
+        options.onStatus("Thinking…");
       }
+      thoughts += parsed.thoughts;
     }
-    
-    // Fallback: check if content is directly a string
-    if (candidate.content && typeof candidate.content === 'string') {
-      return candidate.content;
+    if (parsed.text) {
+      text += parsed.text;
+      onChunk(parsed.text);
     }
-    
-    // If we have a finishReason but no text, check usage metadata for details
-    if (candidate.finishReason === "MAX_TOKENS") {
-      const usage = json.usageMetadata;
-      const details = usage ? `Prompt: ${usage.promptTokenCount || 0} tokens, Thinking: ${usage.thoughtsTokenCount || 0} tokens, Total: ${usage.totalTokenCount || 0} tokens` : "";
-      throw new Error(`Response hit token limit (${maxTokens}). ${details}\n\nTry increasing maxTokens to 4096 or higher in extension settings.`);
+    if (parsed.finishReason) {
+      finishReason = parsed.finishReason;
     }
-    
-    // Other finish reasons
-    if (candidate.finishReason) {
-      throw new Error(`Response finished with reason: ${candidate.finishReason}. No text was generated.`);
+    if (parsed.block) {
+      block = parsed.block;
+    }
+    if (parsed.usage) {
+      usage = parsed.usage;
     }
+  });
+
+  if (text) {
+    // If it was truncated, add a note but still return the text
+    if (finishReason === adapter.truncationReason) {
+      console.warn("Gmail Reply Generator: Response was truncated. Consider increasing maxTokens.");
+      onChunk(TRUNCATED_NOTE);
+      return { text: text + TRUNCATED_NOTE, usage: usage, thoughts: thoughts || null };
+    }
+    if (block) {
+      const note = safetyStoppedNote(block.reason, block.safetyRatings);
+      onChunk(note);
+      return { text: text + note, usage: usage, thoughts: thoughts || null };
+    }
+    return { text: text, usage: usage, thoughts: thoughts || null };
   }
-  
-  // Other possible shapes:
-  // - { output: [{ content: "..." }] }
-  // - { text: "..." }
-  // - { generations: [{ text: "..." }] }
-  if (json.output && Array.isArray(json.output) && json.output[0].content) {
-    return json.output[0].content;
+
+  if (block) {
+    throw createSafetyError(block.reason, block.safetyRatings, block.inPrompt);
   }
-  if (json.text) {
-    return json.text;
+
+  if (finishReason === adapter.truncationReason) {
+    const thinkingTip = usage && usage.thinkingTokens
+      ? ` Thinking used ${usage.thinkingTokens} tokens - set a lower thinking budget so it can't use up the whole limit.`
+      : "";
+    throw new Error(`Response hit token limit (${config.maxTokens}).\n\nTry increasing maxTokens to 4096 or higher in extension settings.${thinkingTip}`);
   }
-  if (json.generations && Array.isArray(json.generations) && json.generations[0].text) {
-    return json.generations[0].text;
+  if (finishReason) {
+    throw new Error(`Response finished with reason: ${finishReason}. No text was generated.`);
   }
+  throw new Error(`Could not extract reply text from the streamed API response. Check the browser console for details.`);
+}
 
-  // Fallback: if we got here, the response format is unexpected
-  console.error("Gmail Reply Generator: Unexpected response format. Full response:", JSON.stringify(json, null, 2));
-  
-  // Try to extract any text we can find in the response
-  const responseStr = JSON.stringify(json);
-  if (responseStr.includes('"text"')) {
-    // Try to find text field anywhere in the response
-    const textMatch = responseStr.match(/"text"\s*:\s*"([^"]+)"/);
-    if (textMatch && textMatch[1]) {
-      return textMatch[1];
+// Sum two token usage records (either may be null)
+function addUsage(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return {
+    promptTokens: a.promptTokens + b.promptTokens,
+    thinkingTokens: a.thinkingTokens + b.thinkingTokens,
+    outputTokens: a.outputTokens + b.outputTokens
+  };
+}
+
+// Find the price entry for a model: exact id first, then the longest matching prefix
+// (so "gemini-2.5-pro-preview-05-06" is priced like "gemini-2.5-pro")
+function findModelPrice(prices, model) {
+  if (prices[model]) return prices[model];
+  const prefix = Object.keys(prices)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+// Estimated cost in USD from the per-model price table (USD per 1M tokens).
+// Thinking tokens are billed as output. Returns null when the model has no price.
+function estimateCost(usage, model, config) {
+  if (!usage) return null;
+  if (config.provider === "ollama" || config.provider === "mock") return 0; // Local and mock models cost nothing per token
+  const price = findModelPrice(config.modelPrices, model);
+  if (!price) return null;
+  const cost = (usage.promptTokens * (price.input || 0) +
+    (usage.thinkingTokens + usage.outputTokens) * (price.output || 0)) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+// Gemini finish/block reasons that mean a filter stopped the reply, and what each one means
+const SAFETY_FINISH_REASONS = ["SAFETY", "RECITATION", "BLOCKLIST", "PROHIBITED_CONTENT", "SPII", "IMAGE_SAFETY"];
+const SAFETY_REASON_TEXT = {
+  SAFETY: "the safety filter flagged it",
+  RECITATION: "it repeated copyrighted or published text too closely",
+  BLOCKLIST: "it contained a term on the blocklist",
+  PROHIBITED_CONTENT: "it was flagged as prohibited content",
+  SPII: "it contained sensitive personal information",
+  IMAGE_SAFETY: "an image was flagged by the safety filter",
+  OTHER: "of an unspecified policy reason"
+};
+const HARM_CATEGORY_NAMES = {
+  HARM_CATEGORY_HARASSMENT: "Harassment",
+  HARM_CATEGORY_HATE_SPEECH: "Hate speech",
+  HARM_CATEGORY_SEXUALLY_EXPLICIT: "Sexually explicit",
+  HARM_CATEGORY_DANGEROUS_CONTENT: "Dangerous content",
+  HARM_CATEGORY_CIVIC_INTEGRITY: "Civic integrity"
+};
+
+// "Harassment (MEDIUM), Dangerous content (HIGH, blocked)" - only the categories that actually registered
+function describeSafetyRatings(safetyRatings) {
+  return (safetyRatings || [])
+    .filter(rating => rating.blocked || (rating.probability && rating.probability !== "NEGLIGIBLE"))
+    .map(rating => {
+      const name = HARM_CATEGORY_NAMES[rating.category] || rating.category;
+      const level = rating.probability ? rating.probability.toLowerCase() : "";
+      return `${name} (${level}${rating.blocked ? (level ? ", " : "") + "blocked" : ""})`;
+    })
+    .join(", ");
+}
+
+// Readable error for a prompt or reply stopped by a Gemini filter. error.safety keeps the raw details.
+function createSafetyError(reason, safetyRatings, inPrompt) {
+  const why = SAFETY_REASON_TEXT[reason] || `of ${reason}`;
+  const flagged = describeSafetyRatings(safetyRatings);
+  let message = `Gemini blocked ${inPrompt ? "this email before replying" : "the reply"} because ${why}.`;
+  if (flagged) {
+    message += `\n\nFlagged categories: ${flagged}.`;
+  }
+  if (reason === "SAFETY" || flagged) {
+    message += `\n\nIf this is a legitimate email, relax the safety thresholds${flagged ? " for these categories" : ""} in the extension settings.`;
+  }
+  const error = new Error(message);
+  error.safety = { reason: reason, safetyRatings: safetyRatings || [], inPrompt: !!inPrompt };
+  return error;
+}
+
+// Note appended to a reply that a filter cut off part-way
+function safetyStoppedNote(reason, safetyRatings) {
+  const flagged = describeSafetyRatings(safetyRatings);
+  return `\n\n[Reply was cut off because ${SAFETY_REASON_TEXT[reason] || reason}${flagged ? ` - ${flagged}` : ""}.]`;
+}
+
+// Gemini's responseSchema is an OpenAPI subset: upper-case types and no additionalProperties
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+  if (schema.description) converted.description = schema.description;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+      converted.properties[name] = toGeminiSchema(property);
     }
+    converted.propertyOrdering = Object.keys(schema.properties);
   }
-  
+  if (schema.required) converted.required = schema.required;
+  return converted;
+}
+
+// Validate a structured reply against REPLY_SCHEMA. Returns { body, subject, questions, confidence,
+// needsInput } or null when the text isn't usable JSON. Missing optional fields get safe defaults.
+function parseStructuredReply(text) {
+  let data;
+  try {
+    // Some OpenAI-compatible servers wrap the JSON in a markdown fence
+    data = JSON.parse(text.trim().replace(/^```(?:json)?\s*/, "").replace(/\s*```$/, ""));
+  } catch (err) {
+    return null;
+  }
+  if (!data || typeof data !== "object" || typeof data.body !== "string" || !data.body.trim()) {
+    return null;
+  }
+  return {
+    body: data.body.trim(),
+    subject: typeof data.subject === "string" ? data.subject.trim() : "",
+    questions: Array.isArray(data.questions) ? data.questions.filter(q => typeof q === "string" && q.trim()) : [],
+    confidence: typeof data.confidence === "number" ? Math.min(1, Math.max(0, data.confidence)) : null,
+    needsInput: data.needsInput === true
+  };
+}
+
+// Turn one structured-mode variant into { text, reply }. When the JSON doesn't validate (e.g. it was
+// cut off at maxTokens) fall back to whatever "body" text can be recovered, or the raw text.
+function readStructuredVariant(text) {
+  const truncated = text.endsWith(TRUNCATED_NOTE);
+  const raw = truncated ? text.slice(0, -TRUNCATED_NOTE.length) : text;
+  const note = truncated ? TRUNCATED_NOTE : "";
+
+  const reply = parseStructuredReply(raw);
+  if (reply) {
+    return { text: reply.body + note, reply: reply };
+  }
+
+  console.warn("Gmail Reply Generator: Structured reply did not match the schema, falling back to plain text");
+  const partialBody = raw.match(/"body"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (partialBody) {
+    try {
+      return { text: JSON.parse(`"${partialBody[1].replace(/\\$/, "")}"`) + note, reply: null };
+    } catch (err) {
+      // Not a valid JSON string - use the raw text below
+    }
+  }
+  return { text: text, reply: null };
+}
+
+// Gemini 2.5 and later think before answering and accept thinkingConfig
+function supportsThinking(model) {
+  return /gemini-(2\.5|[3-9])/.test(model);
+}
+
+// Normalize a preset into the sampling parameters the adapters send. Unset values stay undefined.
+function resolveGenerationParams(preset) {
+  const number = (value) => (typeof value === "number" && !isNaN(value) ? value : undefined);
+  const stops = Array.isArray(preset && preset.stopSequences) ? preset.stopSequences.filter(Boolean) : [];
+  return {
+    temperature: number(preset && preset.temperature),
+    topP: number(preset && preset.topP),
+    topK: number(preset && preset.topK),
+    stopSequences: stops.length > 0 ? stops : undefined
+  };
+}
+
+// Budget counters for the current day and month. Counters from an earlier day or month start over at 0.
+function currentBudgetUsage(stored, now = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const month = `${now.getFullYear()}-${pad(now.getMonth() + 1)}`;
+  const day = `${month}-${pad(now.getDate())}`;
+  const usage = stored || {};
+  return {
+    day: day,
+    requests: usage.day === day ? usage.requests || 0 : 0,
+    month: month,
+    tokens: usage.month === month ? usage.tokens || 0 : 0,
+    spend: usage.month === month ? usage.spend || 0 : 0
+  };
+}
+
+function budgetUsageKey(config) {
+  return config.profile === DEFAULT_PROFILE ? BUDGET_USAGE_KEY : `${BUDGET_USAGE_KEY}:${config.profile}`;
+}
+
+// Run task after every budget read/update queued before it. Concurrent generations would otherwise
+// read the same counters and overwrite each other's updates.
+function withBudgetLock(task) {
+  const run = budgetLock.then(task);
+  budgetLock = run.catch(() => {});
+  return run;
+}
+
+// Throw a budget error if any configured limit has been reached. Generations that already passed
+// this check but haven't been recorded yet count against the daily request limit too.
+async function checkBudget(config) {
+  const budgets = config.budgets;
+  if (!budgets.maxRequestsPerDay && !budgets.maxTokensPerMonth && !budgets.maxSpendPerMonth) return;
+
+  const usageKey = budgetUsageKey(config);
+  const stored = await chrome.storage.local.get([usageKey]);
+  const usage = currentBudgetUsage(stored[usageKey]);
+  const reserved = reservedBudgetRequests.get(usageKey) || 0;
+  const now = new Date();
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+  if (budgets.maxRequestsPerDay && usage.requests + reserved >= budgets.maxRequestsPerDay) {
+    throw createBudgetError(`daily limit of ${budgets.maxRequestsPerDay} requests reached`, tomorrow);
+  }
+  if (budgets.maxTokensPerMonth && usage.tokens >= budgets.maxTokensPerMonth) {
+    throw createBudgetError(`monthly limit of ${budgets.maxTokensPerMonth.toLocaleString()} tokens reached`, nextMonth);
+  }
+  if (budgets.maxSpendPerMonth && usage.spend >= budgets.maxSpendPerMonth) {
+    throw createBudgetError(`monthly spending limit of $${budgets.maxSpendPerMonth.toFixed(2)} reached`, nextMonth);
+  }
+}
+
+// Check the budget (unless overrideBudget) and hold a place in it for this generation until the
+// returned release() is called, so parallel generations can't all take the last request.
+async function reserveBudget(config, overrideBudget) {
+  const usageKey = budgetUsageKey(config);
+  await withBudgetLock(async () => {
+    if (!overrideBudget) {
+      await checkBudget(config);
+    }
+    reservedBudgetRequests.set(usageKey, (reservedBudgetRequests.get(usageKey) || 0) + 1);
+  });
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    reservedBudgetRequests.set(usageKey, reservedBudgetRequests.get(usageKey) - 1);
+  };
+}
+
+// Add a finished generation to the budget counters of the profile it ran under
+function recordBudgetUsage(config, usage, estimatedCost) {
+  const usageKey = budgetUsageKey(config);
+  return withBudgetLock(async () => {
+    const stored = await chrome.storage.local.get([usageKey]);
+    const counters = currentBudgetUsage(stored[usageKey]);
+    counters.requests += 1;
+    if (usage) {
+      counters.tokens += usage.promptTokens + usage.thinkingTokens + usage.outputTokens;
+    }
+    counters.spend += estimatedCost || 0;
+    await chrome.storage.local.set({ [usageKey]: counters });
+  });
+}
+
+// Clamp maxTokens to the model's real output limit when the model list told us what it is
+function maxTokensForModel(config, model) {
+  const limits = config.modelLimits[model];
+  if (limits && limits.outputTokenLimit && config.maxTokens > limits.outputTokenLimit) {
+    console.log("Gmail Reply Generator: Clamping maxTokens to", limits.outputTokenLimit, "for", model);
+    return limits.outputTokenLimit;
+  }
+  return config.maxTokens;
+}
+
+// The model's input context window: the model list's inputTokenLimit when we have it, else the built-in table
+function contextWindowForModel(config, model) {
+  const limits = config.modelLimits[model];
+  if (limits && limits.inputTokenLimit) return limits.inputTokenLimit;
+  const known = findModelPrice(DEFAULT_CONTEXT_WINDOWS, model);
+  if (known) return known;
+  return config.provider === "ollama" ? OLLAMA_CONTEXT_WINDOW : FALLBACK_CONTEXT_WINDOW;
+}
+
+// Prompt budget for a generation: the smallest context window in the fallback chain, less the
+// reply's max tokens (at most half the window) and the structured-reply instruction, capped by the
+// "max email context" setting.
+// Returns { model, contextWindow, promptTokens } - promptTokens covers system instruction plus email.
+async function getContextBudget(profileName) {
+  const config = await loadApiConfig({}, profileName);
+  const models = [config.model, ...config.fallbackModels.filter(m => m !== config.model)];
+  let contextWindow = Infinity;
+  let promptTokens = Infinity;
+  for (const model of models) {
+    // The mock provider has no real limit, so only the cap applies
+    const modelWindow = config.provider === "mock" ? Infinity : contextWindowForModel(config, model);
+    contextWindow = Math.min(contextWindow, modelWindow);
+    // A max tokens setting near the window size would leave no room for the email, so the reply
+    // reserve is capped at half the window (replies rarely come close to it anyway)
+    const replyReserve = Math.min(maxTokensForModel(config, model), Math.floor(modelWindow / 2));
+    promptTokens = Math.min(promptTokens, modelWindow - replyReserve);
+  }
+  if (config.jsonReplyMode) {
+    promptTokens -= Math.ceil(JSON_REPLY_INSTRUCTION.length / 4);
+  }
+  if (config.maxContextTokens > 0) {
+    promptTokens = Math.min(promptTokens, config.maxContextTokens);
+  }
+  if (!isFinite(promptTokens)) {
+    promptTokens = DEFAULT_MAX_CONTEXT_TOKENS;
+  }
+  return {
+    model: config.model,
+    contextWindow: isFinite(contextWindow) ? contextWindow : null,
+    // Always leave room for at least a short email, even when maxTokens nearly fills the window
+    promptTokens: Math.max(512, promptTokens)
+  };
+}
+
+// Errors that mean "this model can't serve the request right now" (unknown or retired model,
+// quota exhausted, overloaded) - worth moving on to the next model in the fallback chain
+function isModelUnavailableError(err) {
+  if (!err) return false;
+  if (err.status === 404 || err.status === 429 || err.status === 503) return true;
+  if (err.apiStatus === "NOT_FOUND" || err.apiStatus === "RESOURCE_EXHAUSTED" || err.apiStatus === "UNAVAILABLE") return true;
+  const msg = (err.message || "").toLowerCase();
+  return msg.includes("is not found") || msg.includes("not supported") || msg.includes("quota");
+}
+
+// Run one generation against a single model. Resolves with { variants, usage, thoughts } where
+// variants holds one reply text per draft and thoughts is the model's thought summary, if any. Streaming is only used for single-variant generations.
+async function generateWithModel(config, prompt, options) {
+  const adapter = PROVIDERS[config.provider];
+
+  // The mock provider answers in-process (variants included) without any request
+  if (adapter.generate) {
+    return adapter.generate(config, prompt, options);
+  }
+
+  if (config.variants > 1 && !adapter.supportsCandidateCount) {
+    // Providers without a candidate count get one request per variant, in parallel
+    const single = { ...config, variants: 1 };
+    const results = await Promise.all(
+      Array.from({ length: config.variants }, () => generateWithModel(single, prompt, { onStatus: options.onStatus, signal: options.signal }))
+    );
+    return {
+      variants: results.flatMap(r => r.variants),
+      usage: results.reduce((total, r) => addUsage(total, r.usage), null)
+    };
+  }
+
+  // Structured replies are JSON until complete, so they are never streamed into the preview
+  const stream = !!(options.onChunk && config.streamingEnabled && config.variants === 1 && !config.jsonReplyMode);
+  const request = applyGateway(adapter.buildRequest(config, prompt, config.maxTokens, stream), config);
+
+  console.log("Gmail Reply Generator: Making request to:", redactSecrets(request.url, config));
+
+  if (stream) {
+    const streamed = await streamReply(adapter, request, config, options.onChunk, options);
+    return { variants: [streamed.text], usage: streamed.usage, thoughts: streamed.thoughts };
+  }
+
+  const json = await sendApiRequest(request, config, options);
+  console.log("Gmail Reply Generator: Full API response:", redactSecrets(JSON.stringify(json, null, 2), config));
+
+  const texts = adapter.parseResponse(json, config.maxTokens);
+  if (texts.length > 0) {
+    return {
+      variants: texts,
+      usage: adapter.parseUsage(json),
+      thoughts: adapter.parseThoughts ? adapter.parseThoughts(json) : null
+    };
+  }
+
+  // Fallback: if we got here, the response format is unexpected
+  console.error("Gmail Reply Generator: Unexpected response format. Full response:", redactSecrets(JSON.stringify(json, null, 2), config));
   throw new Error(`Could not extract reply text from API response. Response format may have changed. Check the browser console for the full response.`);
 }
 
-// Connection check function - makes a minimal test request to verify API connectivity
-async function checkConnection() {
-  const stored = await chrome.storage.local.get(["apiBase", "apiKey", "model"]);
-  const apiBase = (stored.apiBase || "").trim();
-  const apiKey = (stored.apiKey || "").trim();
-  const model = stored.model || "gemini-2.5-pro";
+// Generate a reply with the configured provider.
+// payload.prompt is { systemInstruction, userPrompt } (or a plain string for old callers).
+// When options.onChunk is given and streaming is enabled, partial text is passed to it as it arrives.
+// options.onStatus receives progress messages such as "Retrying (1/3)…".
+// options.signal (an AbortSignal) cancels the generation.
+// If the configured model is unavailable or over quota, the fallback models are tried in order.
+// Resolves with { text, variants, replies, model, requestedModel, usage, estimatedCost, preset, thoughts } - text is
+// the first variant. In structured reply mode, replies holds the parsed fields for each variant (null where invalid).
+// Refuses to run once a budget is used up unless payload.overrideBudget is set.
+// payload.preset picks a sampling preset for this generation (default: the active preset).
+// Requests from all tabs wait in one queue (see acquireQueueSlot); options.onQueuePosition hears where
+// this one is in line while it waits.
+// Replies are cached (see responseCacheKey); result.cached/cachedAt say whether this one came from the cache
+// and payload.bypassCache forces a fresh request.
+// payload.profile names the settings profile for the Gmail account the request came from.
+async function generateReply(payload, options = {}) {
+  const config = await loadApiConfig({}, payload && payload.profile);
 
-  // Validate configuration
-  if (!apiBase) {
-    throw new Error("API base URL not set. Click the extension icon and configure it in the popup.");
+  if (!payload || !payload.prompt) {
+    console.error("Gmail Reply Generator: Invalid payload - prompt is missing");
+    throw new Error("Invalid request: prompt is required.");
   }
-  if (!apiKey) {
-    throw new Error("API key not set. Click the extension icon and configure it in the popup.");
+
+  const prompt = normalizePrompt(payload.prompt);
+  if (config.jsonReplyMode) {
+    prompt.systemInstruction = (prompt.systemInstruction || "") + JSON_REPLY_INSTRUCTION;
   }
+  const models = [config.model, ...config.fallbackModels.filter(m => m !== config.model)];
+  const presetName = payload.preset && config.presets[payload.preset] ? payload.preset : config.activePreset;
+  config.generationParams = resolveGenerationParams(config.presets[presetName]);
 
-  console.log("Gmail Reply Generator: Checking connection with model:", model);
+  // Same email, model and settings as a recent generation - reuse that reply instead of paying again.
+  // Cache hits don't count against the budgets. The mock provider is never cached, so every
+  // generation goes through its delay, error rate and current template.
+  const useCache = config.cacheEnabled && !PROVIDERS[config.provider].generate;
+  const cacheKey = useCache ? await responseCacheKey(config, prompt) : null;
+  if (cacheKey && !payload.bypassCache) {
+    const cached = await readResponseCache(cacheKey, config.cacheTtlMinutes);
+    if (cached) {
+      console.log("Gmail Reply Generator: Using cached reply from", new Date(cached.createdAt).toISOString());
+      return { ...cached.result, cached: true, cachedAt: cached.createdAt };
+    }
+  }
 
-  // Detect if this is Google's official Gemini API
-  const isGoogleGemini = apiBase.includes("generativelanguage.googleapis.com");
-  
-  let url, body, headers;
-  
-  if (isGoogleGemini) {
-    // Google Gemini API format
-    const base = apiBase.replace(/\/$/, "");
-    url = `${base}/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-    
-    body = {
-      contents: [{
-        parts: [{ text: "test" }]
-      }],
-      generationConfig: {
-        maxOutputTokens: 10
+  // Wait for our turn in the cross-tab queue; the slot is held until this generation settles
+  const releaseSlot = await acquireQueueSlot(config, options);
+  let releaseBudget = null;
+  try {
+    // Checked once the slot is ours, so a request that waited in line sees what ran before it
+    releaseBudget = await reserveBudget(config, payload.overrideBudget);
+    return await generateWithFallbacks(config, prompt, models, presetName, cacheKey, options);
+  } finally {
+    if (releaseBudget) releaseBudget();
+    releaseSlot();
+  }
+}
+
+// Try the configured model, then each fallback model in order, until one produces a reply
+async function generateWithFallbacks(config, prompt, models, presetName, cacheKey, options) {
+  for (let i = 0; i < models.length; i++) {
+    const model = models[i];
+    console.log("Gmail Reply Generator: Generating reply with provider:", config.provider, "model:", model, "maxTokens:", config.maxTokens);
+
+    try {
+      const modelConfig = { ...config, model: model, maxTokens: maxTokensForModel(config, model) };
+      const result = await generateWithModel(modelConfig, prompt, options);
+      const estimatedCost = estimateCost(result.usage, model, config);
+      await recordBudgetUsage(config, result.usage, estimatedCost);
+
+      // In structured mode each variant is JSON; hand back the body text plus the parsed fields
+      const structured = config.jsonReplyMode ? result.variants.map(readStructuredVariant) : null;
+      const variants = structured ? structured.map(v => v.text) : result.variants;
+      const reply = {
+        text: variants[0],
+        variants: variants,
+        replies: structured ? structured.map(v => v.reply) : null,
+        model: model,
+        requestedModel: config.model,
+        usage: result.usage,
+        estimatedCost: estimatedCost,
+        preset: presetName,
+        thoughts: result.thoughts || null
+      };
+      if (cacheKey) {
+        await writeResponseCache(cacheKey, reply, config.cacheMaxEntries);
+      }
+      return { ...reply, cached: false };
+    } catch (err) {
+      // Aborting also breaks the response stream; report it as a cancellation, not an API error
+      if (options.signal && options.signal.aborted) {
+        throw createCancelledError();
+      }
+      const next = models[i + 1];
+      if (!next || !isModelUnavailableError(err)) {
+        throw err;
+      }
+      console.warn(`Gmail Reply Generator: Model ${model} unavailable (${err.message}), falling back to ${next}`);
+      if (options.onStatus) {
+        options.onStatus(`${model} unavailable, trying ${next}…`);
       }
+    }
+  }
+}
+
+// Tell every waiting request where it now is in line (1 = next to run)
+function notifyQueuePositions() {
+  generationQueue.forEach((entry, index) => {
+    if (entry.onQueuePosition) entry.onQueuePosition(index + 1);
+  });
+}
+
+// Start queued requests while there are free slots
+function pumpQueue() {
+  let started = false;
+  while (generationQueue.length > 0 && queueState.running < queueState.concurrency) {
+    const entry = generationQueue.shift();
+    queueState.running++;
+    started = true;
+    entry.start();
+  }
+  if (started) {
+    notifyQueuePositions();
+  }
+}
+
+// Resolves with a release() function once this request may call the API. Rejects with a
+// cancellation error if options.signal aborts while it is still waiting.
+function acquireQueueSlot(config, options = {}) {
+  // The newest settings apply to everything still waiting
+  queueState.concurrency = config.maxConcurrentRequests;
+
+  return new Promise((resolve, reject) => {
+    let waited = false;
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      queueState.running--;
+      pumpQueue();
     };
-    
-    headers = {
-      "Content-Type": "application/json"
+    const entry = {
+      onQueuePosition: options.onQueuePosition,
+      start: () => {
+        if (options.signal) options.signal.removeEventListener("abort", onAbort);
+        if (waited && options.onStatus) options.onStatus("Generating...");
+        resolve(release);
+      }
     };
-  } else {
-    // Generic/other provider format
-    const base = apiBase.replace(/\/$/, "");
-    url = `${base}/models/${encodeURIComponent(model)}:generate`;
-    body = {
-      prompt: "test",
-      max_output_tokens: 10
+    const onAbort = () => {
+      const index = generationQueue.indexOf(entry);
+      if (index === -1) return;
+      generationQueue.splice(index, 1);
+      notifyQueuePositions();
+      reject(createCancelledError());
     };
-    headers = {
-      "Content-Type": "application/json",
-      "Authorization": `Bearer ${apiKey}`
+    if (options.signal) {
+      if (options.signal.aborted) {
+        reject(createCancelledError());
+        return;
+      }
+      options.signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    generationQueue.push(entry);
+    pumpQueue();
+
+    // Still waiting - tell the tab where it is in line
+    waited = generationQueue.includes(entry);
+    if (waited) {
+      console.log("Gmail Reply Generator: Request queued at position", generationQueue.length);
+      if (entry.onQueuePosition) entry.onQueuePosition(generationQueue.indexOf(entry) + 1);
+    }
+  });
+}
+
+// Response cache: recent replies in IndexedDB, keyed by a hash of everything that shapes the reply.
+// Entries expire after cacheTtlMinutes and only the newest cacheMaxEntries are kept.
+const CACHE_DB_NAME = "grg-response-cache";
+const CACHE_STORE_NAME = "replies";
+
+function openCacheDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(CACHE_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: "key" });
+      store.createIndex("createdAt", "createdAt");
     };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run fn(store) in a transaction and resolve with the value of the request it returns (if any)
+async function withCacheStore(mode, fn) {
+  const db = await openCacheDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(CACHE_STORE_NAME, mode);
+      const request = fn(tx.objectStore(CACHE_STORE_NAME));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
   }
+}
 
-  console.log("Gmail Reply Generator: Testing connection to:", url);
-  
-  let res;
+// SHA-256 over the system instruction, user prompt, model chain and every setting that changes the output
+async function responseCacheKey(config, prompt) {
+  const material = JSON.stringify({
+    systemInstruction: prompt.systemInstruction || "",
+    userPrompt: prompt.userPrompt,
+    provider: config.provider,
+    apiBase: config.apiBase,
+    // A different gateway or tenant may answer differently
+    urlTemplate: config.urlTemplate,
+    customHeaders: config.customHeaders,
+    model: config.model,
+    fallbackModels: config.fallbackModels,
+    maxTokens: config.maxTokens,
+    variants: config.variants,
+    generationParams: config.generationParams,
+    thinkingBudget: config.thinkingBudget,
+    includeThoughts: config.includeThoughts,
+    jsonReplyMode: config.jsonReplyMode,
+    safetySettings: config.safetySettings
+  });
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(material));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Cached { createdAt, result } for a key, or null when missing, expired or the cache can't be read
+async function readResponseCache(key, ttlMinutes) {
   try {
-    res = await fetch(url, {
-      method: "POST",
-      headers: headers,
-      body: JSON.stringify(body),
+    const entry = await withCacheStore("readonly", store => store.get(key));
+    if (!entry || Date.now() - entry.createdAt > ttlMinutes * 60000) {
+      return null;
+    }
+    return entry;
+  } catch (err) {
+    console.warn("Gmail Reply Generator: Could not read the response cache:", err);
+    return null;
+  }
+}
+
+// Store a reply and drop the oldest entries beyond maxEntries. Failures only cost a cache miss later.
+async function writeResponseCache(key, result, maxEntries) {
+  try {
+    await withCacheStore("readwrite", (store) => {
+      store.put({ key: key, createdAt: Date.now(), result: result });
+      const count = store.count();
+      count.onsuccess = () => {
+        let excess = count.result - maxEntries;
+        if (excess <= 0) return;
+        store.index("createdAt").openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor && excess > 0) {
+            cursor.delete();
+            excess--;
+            cursor.continue();
+          }
+        };
+      };
     });
-  } catch (fetchError) {
-    const errorMsg = fetchError.message || String(fetchError);
-    if (errorMsg.includes("Failed to fetch") || errorMsg.includes("NetworkError")) {
-      throw new Error(`Cannot connect to API. Check:\n1. API Base URL is correct: ${apiBase}\n2. You have internet connection\n3. The API endpoint allows requests from browser extensions\n\nFull error: ${errorMsg}`);
+  } catch (err) {
+    console.warn("Gmail Reply Generator: Could not write the response cache:", err);
+  }
+}
+
+// { entries, bytes, oldest } for the popup
+async function getResponseCacheStats() {
+  const entries = await withCacheStore("readonly", store => store.getAll());
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((total, entry) => total + JSON.stringify(entry).length, 0),
+    oldest: entries.length > 0 ? Math.min(...entries.map(entry => entry.createdAt)) : null
+  };
+}
+
+async function clearResponseCache() {
+  await withCacheStore("readwrite", store => store.clear());
+}
+
+// Pull the email being answered out of the prompt the content script builds (a single email or
+// the last message of a thread transcript)
+function mockEmailText(prompt) {
+  const match = prompt.userPrompt.match(/Here is the email (?:I received|conversation I'm replying to[^:\n]*):\s*([\s\S]*?)\s*(?:Please generate[^\n]*)?$/);
+  const text = match ? match[1] : prompt.userPrompt;
+  // In a thread transcript only the newest message needs answering
+  const messages = text.split(/^--- Message \d+ of \d+[^\n]*---$/m);
+  return messages[messages.length - 1].trim();
+}
+
+// Best guess at who wrote the email: a "From:" line, else the name under a sign-off like "Thanks,"
+function mockSenderName(email) {
+  const from = email.match(/^From:\s*"?([^"<\n@]+?)"?\s*(<|$)/m);
+  if (from) return from[1].trim().split(/\s+/)[0];
+  const lines = email.split("\n").map(line => line.trim()).filter(Boolean);
+  for (let i = lines.length - 2; i >= 0; i--) {
+    if (/^(thanks|thank you|best|regards|cheers|sincerely|kind regards|best regards|many thanks)[,!.]?$/i.test(lines[i])) {
+      const name = lines[i + 1].match(/^[A-Z][\w'-]+/);
+      if (name) return name[0];
     }
-    throw fetchError;
   }
+  return "there";
+}
 
-  if (!res.ok) {
-    const text = await res.text();
-    console.error("Gmail Reply Generator: Connection check API error:", res.status, text);
-    
-    // Try to parse error JSON for better error messages
-    let errorMessage = `API returned ${res.status}`;
-    try {
-      const errorJson = JSON.parse(text);
-      if (errorJson.error && errorJson.error.message) {
-        errorMessage = errorJson.error.message;
-        if (errorMessage.includes("is not found") || errorMessage.includes("not supported")) {
-          errorMessage += `\n\nTry using "gemini-1.5-pro" or "gemini-1.5-flash" instead. Update the model in the extension popup settings.`;
-        }
-      } else if (errorJson.error) {
-        errorMessage = JSON.stringify(errorJson.error);
-      }
-    } catch (e) {
-      errorMessage = text.substring(0, 300);
+// Sentences in the email that end in a question mark
+function mockQuestions(email) {
+  return email.split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 1 && sentence.endsWith("?"))
+    .slice(0, 5);
+}
+
+// Errors the mock provider cycles through, so each error path in the UI can be seen
+function createMockError(failureNumber, config) {
+  switch (failureNumber % 3) {
+    case 1: {
+      const error = new Error("Mock provider: simulated server error (503 Service Unavailable).");
+      error.status = 503;
+      error.apiStatus = "UNAVAILABLE";
+      return error;
     }
-    
-    throw new Error(errorMessage);
+    case 2:
+      return createSafetyError("SAFETY", [{ category: "HARM_CATEGORY_HARASSMENT", probability: "HIGH", blocked: true }], false);
+    default:
+      return new Error(`Response hit token limit (${config.maxTokens}). Mock provider: simulated truncation.\n\nTry increasing maxTokens to 4096 or higher in extension settings.`);
   }
+}
+
+// Build a reply from the mock template without any network request. Exactly errorRate percent of
+// requests fail (spread evenly, so a demo plays out the same way every time). Streams word by word
+// when the caller streams, otherwise waits delayMs and answers in one go.
+async function generateMockReply(config, prompt, options = {}) {
+  const mock = config.mock;
+  mockRequestCount += 1;
+  const failures = Math.floor(mockRequestCount * mock.errorRate / 100);
+  const failed = failures > Math.floor((mockRequestCount - 1) * mock.errorRate / 100);
+
+  const email = mockEmailText(prompt);
+  const sender = mockSenderName(email);
+  const questions = mockQuestions(email);
+  const answers = questions.length > 0
+    ? "\n\n" + questions.map(q => `About "${q}" - let me check and get back to you.`).join("\n")
+    : " I'll take a look and get back to you soon.";
+
+  const variants = Array.from({ length: config.variants }, (_, i) => {
+    const values = { sender: sender, thanks: MOCK_OPENERS[i % MOCK_OPENERS.length], answers: answers, questions: questions.join("\n") };
+    const body = mock.template.replace(/\{(sender|thanks|answers|questions)\}/g, (match, name) => values[name]);
+    if (!config.jsonReplyMode) return body;
+    return JSON.stringify({
+      subject: "Re: your email",
+      body: body,
+      questions: questions,
+      confidence: 0.8,
+      needsInput: questions.length > 0
+    });
+  });
+
+  const stream = !!(options.onChunk && config.streamingEnabled && config.variants === 1 && !config.jsonReplyMode);
+  const words = variants[0].split(/(?<=\s)/);
+  if (stream && !failed) {
+    for (const word of words) {
+      await sleep(mock.delayMs / words.length, options.signal);
+      options.onChunk(word);
+    }
+  } else {
+    await sleep(mock.delayMs, options.signal);
+  }
+  if (failed) {
+    throw createMockError(failures, config);
+  }
+
+  const tokens = (text) => Math.ceil(text.length / 4);
+  return {
+    variants: variants,
+    usage: {
+      promptTokens: tokens((prompt.systemInstruction || "") + prompt.userPrompt),
+      thinkingTokens: 0,
+      outputTokens: variants.reduce((total, text) => total + tokens(text), 0)
+    },
+    thoughts: config.includeThoughts ? `Mock provider: reply to ${sender}, ${questions.length} question(s) found.` : null
+  };
+}
+
+// Connection check function - sends a minimal test request through the same provider
+// adapter that generateReply uses, so the check matches what generation really does
+async function checkConnection(profileName) {
+  const config = await loadApiConfig({}, profileName);
+  // One short reply is enough to prove the settings work - don't pay for extra variants
+  config.variants = 1;
+
+  console.log("Gmail Reply Generator: Checking connection with provider:", config.provider, "model:", config.model);
+
+  const adapter = PROVIDERS[config.provider];
+  if (adapter.generate) {
+    return `${adapter.label} ready. Replies are made up offline - nothing is sent anywhere.`;
+  }
+  const request = applyGateway(adapter.buildRequest(config, { systemInstruction: null, userPrompt: "test" }, 10), config);
+
+  console.log("Gmail Reply Generator: Testing connection to:", redactSecrets(request.url, config));
+
+  await sendApiRequest(request, config);
 
   // If we get here, connection is successful
   console.log("Gmail Reply Generator: Connection check successful");
-  return "Connection successful. All systems ready.";
+  return `Connection to ${adapter.label} successful. All systems ready.`;
+}
+
+// Fetch the provider's model list, keep only models that can generate text and cache
+// the result (with token limits) so the popup and generateReply can use it.
+async function listModels(overrides, profileName) {
+  const config = await loadApiConfig(overrides, profileName);
+  const adapter = PROVIDERS[config.provider];
+
+  console.log("Gmail Reply Generator: Listing models for provider:", config.provider);
+
+  const models = [];
+  if (adapter.listModels) {
+    // The mock provider knows its models without asking anyone
+    models.push(...adapter.listModels());
+  } else {
+    let pageToken = null;
+    do {
+      const json = await sendApiRequest(applyGateway(adapter.buildListModelsRequest(config, pageToken), config), config);
+      const page = adapter.parseModelList(json);
+      models.push(...page.models);
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+  }
+
+  const stored = await chrome.storage.local.get([MODEL_CACHE_KEY]);
+  const cache = stored[MODEL_CACHE_KEY] || {};
+  cache[config.provider] = {
+    apiBase: config.apiBase,
+    fetchedAt: new Date().toISOString(),
+    models: models
+  };
+  await chrome.storage.local.set({ [MODEL_CACHE_KEY]: cache });
+
+  console.log("Gmail Reply Generator: Cached", models.length, "models for", config.provider);
+  return { provider: config.provider, models: models };
 }
 
 // Download logs as JSON file
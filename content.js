@@ -2,8 +2,11 @@
 Content script:
 - Injects Toggle + Generate buttons into Gmail message toolbar (when an email is opened).
 - Uses MutationObserver to detect opened email view.
-- Stores per-thread enabled/disabled state in chrome.storage.local with key "threadEnabled:{threadId}"
-- When Generate is pressed, extracts the original email body, sends it to background to create a reply,
+- Stores per-thread enabled/disabled state in chrome.storage.local with key "threadEnabled:{account}:{threadId}",
+  where account is the Gmail account index from /mail/u/{account}
+- Picks the settings profile mapped to the Gmail account (or the one chosen on the toolbar)
+- When Generate is pressed, extracts the whole conversation (sender, To/CC, date and body of each
+  message) as a labelled transcript with the subject and the user's place in it, sends it to background to create a reply,
   then inserts the reply into Gmail's reply editor.
 */
 
@@ -13,6 +16,13 @@ Content script:
   const BUTTON_CONTAINER_ID = "grg-button-container";
   const LOGS_STORAGE_KEY = "grg_logs";
   const MAX_LOGS = 1000; // Maximum number of logs to keep
+  const USAGE_STORAGE_KEY = "grg_usage"; // Daily and per-model token totals, in local storage
+  const USAGE_DAYS_KEPT = 90; // Days of daily totals to keep
+  const GENERATE_PORT_NAME = "grg-generate"; // Must match background.js
+  const DEFAULT_PROFILE = "Default"; // Must match background.js
+  const DEFAULT_CONTEXT_TOKENS = 8000; // Prompt budget when background can't work one out (DEFAULT_MAX_CONTEXT_TOKENS)
+  const PERSONA_KEYS = ["personaName", "personaRole", "personaCompany", "signOff", "signature", "appendSignature"];
+  const SHORTENED_MESSAGE_CHARS = 400; // How much of an older message is kept when it doesn't fit whole
   
   // Track logging enabled state
   let loggingEnabled = true; // Default to enabled
@@ -225,6 +235,54 @@ Content script:
     }
   }
 
+  // Run a generation over a long-lived port so the service worker can stream partial text back.
+  // handlers: { onChunk(text), onStatus(text), onQueued(position), onDone(response), onError(errorMessage, { cancelled, budget }) }
+  function requestGeneration(payload, handlers, requestId) {
+    if (!isExtensionContextValid()) {
+      handlers.onError("Extension context invalidated. Please reload the page to continue using the extension.");
+      return null;
+    }
+
+    let port;
+    try {
+      port = chrome.runtime.connect({ name: GENERATE_PORT_NAME });
+    } catch (error) {
+      console.error("Port connect exception:", error);
+      handlers.onError(error.message || "Failed to connect to the extension");
+      return null;
+    }
+
+    let settled = false;
+    port.onMessage.addListener((msg) => {
+      if (!msg || settled) return;
+      if (msg.type === "chunk") {
+        handlers.onChunk(msg.text);
+      } else if (msg.type === "status") {
+        if (handlers.onStatus) handlers.onStatus(msg.text);
+      } else if (msg.type === "queued") {
+        if (handlers.onQueued) handlers.onQueued(msg.position);
+      } else if (msg.type === "done") {
+        settled = true;
+        port.disconnect();
+        handlers.onDone(msg);
+      } else if (msg.type === "error") {
+        settled = true;
+        port.disconnect();
+        handlers.onError(msg.error, { cancelled: !!msg.cancelled, budget: msg.budget });
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      if (settled) return;
+      settled = true;
+      // Reading lastError keeps Chrome from logging it as unchecked
+      const lastError = chrome.runtime.lastError;
+      handlers.onError(lastError && lastError.message ? lastError.message : "Lost connection to the extension. Please try again.");
+    });
+
+    port.postMessage({ type: "GENERATE_REPLY", payload: payload, requestId: requestId });
+    return port;
+  }
+
   // Check if logging is enabled
   async function isLoggingEnabled() {
     if (!isExtensionContextValid()) {
@@ -311,6 +369,11 @@ Content script:
         return;
       }
 
+      // Token usage is also counted apart from the log, which sync storage caps in size
+      if (type === 'reply' && action === 'generated') {
+        await recordUsage(details);
+      }
+
       // Get existing logs from sync storage for persistence
       const result = await safeStorageGet([LOGS_STORAGE_KEY], null, true);
       
@@ -366,6 +429,67 @@ Content script:
     return location.href;
   }
 
+  // Which signed-in Gmail account this tab shows: the index from /mail/u/{index}/ and, when
+  // Gmail has put it in the page title ("Inbox (3) - me@example.com - Gmail"), the address.
+  // An open thread's title starts with its subject, which may hold other addresses, so the
+  // address is the one just before " - Gmail". Otherwise the Google Account button's label
+  // ("Google Account: Jane Doe (me@example.com)") names it, and last of all the title's last address.
+  function getGmailAccount() {
+    const emailPattern = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+    const indexMatch = location.pathname.match(/\/mail\/u\/(\d+)/);
+    const titleMatch = document.title.match(/([\w.+-]+@[\w-]+(?:\.[\w-]+)+)\s+-\s+Gmail\s*$/);
+    const accountButton = document.querySelector("a[aria-label*='@'][href*='accounts.google.com']");
+    const buttonEmails = accountButton ? accountButton.getAttribute("aria-label").match(emailPattern) : null;
+    const titleEmails = document.title.match(emailPattern);
+    const email = titleMatch ? titleMatch[1]
+      : buttonEmails ? buttonEmails[0]
+      : titleEmails ? titleEmails[titleEmails.length - 1]
+      : null;
+    return {
+      index: indexMatch ? indexMatch[1] : "0",
+      email: email ? email.toLowerCase() : null
+    };
+  }
+
+  // Thread enabled state is kept per account, since each account has its own threads
+  function getThreadStateKey(threadId) {
+    return `threadEnabled:${getGmailAccount().index}:${threadId}`;
+  }
+
+  // Whether the extension is enabled for a thread. State saved before it was kept per
+  // account ("threadEnabled:{threadId}") still counts for the first account.
+  async function isThreadEnabled(threadId) {
+    const key = getThreadStateKey(threadId);
+    const legacyKey = `threadEnabled:${threadId}`;
+    const result = await safeStorageGet([key, legacyKey]);
+    if (result[key] !== undefined) return !!result[key];
+    return getGmailAccount().index === "0" && !!result[legacyKey];
+  }
+
+  // The first profile whose account list names this account's index or address, else Default
+  function matchProfileForAccount(profiles, account) {
+    for (const [name, profile] of Object.entries(profiles)) {
+      const accounts = (profile.accounts || []).map(a => String(a).trim().toLowerCase());
+      if (accounts.includes(account.index) || (account.email && accounts.includes(account.email))) {
+        return name;
+      }
+    }
+    return DEFAULT_PROFILE;
+  }
+
+  // The profile picked on the toolbar for this account, if it still exists
+  function chosenProfileForAccount(result, account) {
+    const chosen = result.accountProfiles && result.accountProfiles[account.index];
+    return chosen && (chosen === DEFAULT_PROFILE || (result.profiles && result.profiles[chosen])) ? chosen : null;
+  }
+
+  // The settings profile for this tab: a profile picked on the toolbar wins over the account mapping
+  async function resolveProfileName() {
+    const result = await safeStorageGet(["profiles", "accountProfiles"]);
+    const account = getGmailAccount();
+    return chosenProfileForAccount(result, account) || matchProfileForAccount(result.profiles || {}, account);
+  }
+
   // Check if we're viewing an email or compose view (not just inbox list)
   function isEmailView() {
     // Check URL first - if it has a thread ID, we're viewing an email
@@ -480,6 +604,9 @@ Content script:
   // Track current thread ID to detect when it changes
   let currentThreadId = null;
 
+  // ID of the generation currently in flight (null when idle), used by the Cancel button
+  let activeRequestId = null;
+
   // Create our UI container and buttons
   function createButtons() {
     // Check context validity first - if invalidated, don't try to create buttons
@@ -609,6 +736,67 @@ Content script:
       genBtn.style.background = "#1a73e8";
     });
 
+    // Preset picker - which sampling preset (temperature, topP, ...) the next generation uses
+    const presetSelect = document.createElement("select");
+    presetSelect.id = "grg-preset-select";
+    presetSelect.title = "Generation preset";
+    presetSelect.style.cssText = `
+      padding: 5px 6px;
+      border-radius: 6px;
+      border: 1px solid #1a73e8;
+      background: #fff;
+      color: #1a73e8;
+      cursor: pointer;
+      font-size: 13px;
+    `;
+    presetSelect.addEventListener("change", () => {
+      // Remember the choice so the next email starts with it too
+      safeStorageSet({ activePreset: presetSelect.value });
+    });
+    loadPresetOptions(presetSelect);
+
+    // Profile picker - which settings profile (provider, key, model, tone, limits) this account uses.
+    // "Auto" follows the account mapping from the popup.
+    const profileSelect = document.createElement("select");
+    profileSelect.id = "grg-profile-select";
+    profileSelect.title = "Settings profile for this Gmail account";
+    profileSelect.style.cssText = presetSelect.style.cssText;
+    profileSelect.addEventListener("change", async () => {
+      const account = getGmailAccount();
+      const result = await safeStorageGet(["accountProfiles"]);
+      const accountProfiles = result.accountProfiles || {};
+      if (profileSelect.value) {
+        accountProfiles[account.index] = profileSelect.value;
+      } else {
+        delete accountProfiles[account.index];
+      }
+      await safeStorageSet({ accountProfiles: accountProfiles });
+    });
+    loadProfileOptions(profileSelect);
+
+    // Cancel button - only visible while a generation is in flight
+    const cancelGenBtn = document.createElement("button");
+    cancelGenBtn.id = "grg-cancel-btn";
+    cancelGenBtn.innerText = "Cancel";
+    cancelGenBtn.style.cssText = `
+      padding: 6px 12px;
+      border-radius: 6px;
+      border: 1px solid #d93025;
+      background: #fff;
+      color: #d93025;
+      cursor: pointer;
+      font-size: 13px;
+      font-weight: 500;
+      display: ${activeRequestId ? "inline-block" : "none"};
+    `;
+    cancelGenBtn.addEventListener("mouseenter", () => {
+      cancelGenBtn.style.background = "#fce8e6";
+    });
+    cancelGenBtn.addEventListener("mouseleave", () => {
+      cancelGenBtn.style.background = "#fff";
+    });
+    cancelGenBtn.addEventListener("click", onCancelGenerationClicked);
+
     // View Logs button
     const logsBtn = document.createElement("button");
     logsBtn.id = "grg-logs-btn";
@@ -634,6 +822,9 @@ Content script:
     container.appendChild(checkConnBtn);
     container.appendChild(toggleBtn);
     container.appendChild(genBtn);
+    container.appendChild(presetSelect);
+    container.appendChild(profileSelect);
+    container.appendChild(cancelGenBtn);
     container.appendChild(logsBtn);
 
     // Try multiple insertion strategies
@@ -881,6 +1072,40 @@ Content script:
     console.log("Gmail Reply Generator: Buttons created successfully");
   }
 
+  // Fill the toolbar preset picker from the presets saved in the popup
+  async function loadPresetOptions(select) {
+    const result = await safeStorageGet(["generationPresets", "activePreset"]);
+    const names = Object.keys(result.generationPresets || { "Default": {} });
+    select.innerHTML = "";
+    for (const name of names) {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    }
+    select.value = names.includes(result.activePreset) ? result.activePreset : names[0];
+  }
+
+  // Fill the toolbar profile picker: "Auto" plus every profile saved in the popup
+  async function loadProfileOptions(select) {
+    const result = await safeStorageGet(["profiles", "accountProfiles"]);
+    const account = getGmailAccount();
+    const names = [DEFAULT_PROFILE, ...Object.keys(result.profiles || {})];
+    const chosen = chosenProfileForAccount(result, account);
+    select.innerHTML = "";
+    const auto = document.createElement("option");
+    auto.value = "";
+    auto.textContent = `Auto (${matchProfileForAccount(result.profiles || {}, account)})`;
+    select.appendChild(auto);
+    for (const name of names) {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    }
+    select.value = chosen || "";
+  }
+
   // Update button state based on current thread ID
   function updateButtonState() {
     // Check context validity before attempting to access storage
@@ -895,13 +1120,12 @@ Content script:
     const threadId = getThreadIdFromUrl();
     currentThreadId = threadId;
     
-    safeStorageGet(`threadEnabled:${threadId}`, (res) => {
+    isThreadEnabled(threadId).then((enabled) => {
       // Check context again after async operation
       if (!isExtensionContextValid()) {
         return;
       }
       
-      const enabled = res[`threadEnabled:${threadId}`];
       if (toggleBtn) {
         toggleBtn.innerText = enabled ? "Disable Extension" : "Enable Extension";
       }
@@ -922,8 +1146,9 @@ Content script:
     checkConnBtn.innerText = "Checking...";
     checkConnBtn.disabled = true;
 
-    // Send connection check request to background
-    safeSendMessage({ type: "CHECK_CONNECTION" }, async (response) => {
+    // Send connection check request to background, using this account's settings profile
+    const profile = await resolveProfileName();
+    safeSendMessage({ type: "CHECK_CONNECTION", profile: profile }, async (response) => {
       checkConnBtn.innerText = oldText;
       checkConnBtn.disabled = false;
 
@@ -1048,7 +1273,7 @@ Content script:
       
       // Enable extension for current thread
       const threadId = getThreadIdFromUrl();
-      const key = `threadEnabled:${threadId}`;
+      const key = getThreadStateKey(threadId);
       await safeStorageSet({ [key]: true });
       
       // Update button state
@@ -1100,10 +1325,9 @@ Content script:
     const btn = e.currentTarget;
     const threadId = getThreadIdFromUrl();
     currentThreadId = threadId; // Keep in sync
-    const key = `threadEnabled:${threadId}`;
+    const key = getThreadStateKey(threadId);
     
-    safeStorageGet(key, async (res) => {
-      const current = !!res[key];
+    isThreadEnabled(threadId).then(async (current) => {
       const next = !current;
       const update = {};
       update[key] = next;
@@ -1298,9 +1522,7 @@ Content script:
     }
     
     const threadId = getThreadIdFromUrl();
-    const key = `threadEnabled:${threadId}`;
-    const result = await safeStorageGet(key);
-    const toggled = !!result[key];
+    const toggled = await isThreadEnabled(threadId);
 
     if (!toggled) {
       alert("Extension is disabled for this email. Click Enable Extension first.");
@@ -1344,10 +1566,28 @@ Content script:
     // Small delay to ensure editor is fully loaded
     await new Promise(resolve => setTimeout(resolve, 300));
 
-    // Extract the exact message being replied to at THIS moment
+    // Extract the conversation being replied to at THIS moment
     // This is the critical safety step - we read the email NOW, not earlier
-    const original = extractOriginalEmailText();
-    if (!original) {
+    // Quoted history and signature elements are left out of each body as it is read
+    await expandThreadMessages();
+    const domStripped = [];
+    const threadMessages = extractThreadMessages(domStripped);
+    // Fall back to the plain body of the last message when Gmail's message headers aren't found
+    let original = threadMessages.length > 0 ? null : extractOriginalEmailText(domStripped);
+
+    // Then strip what's left in the text itself (quotes without Gmail's markup, "On … wrote:",
+    // signatures and disclaimers) so it doesn't use up the length budget
+    const strippedParts = new Set(domStripped);
+    const cleanBody = (text) => {
+      const cleaned = cleanEmailBody(text);
+      cleaned.removed.forEach(part => strippedParts.add(part));
+      return cleaned.text;
+    };
+    threadMessages.forEach(message => {
+      if (!message.snippetOnly) message.body = cleanBody(message.body);
+    });
+    if (original) original = cleanBody(original);
+    if (threadMessages.length === 0 && !original) {
       if (genBtn) {
         genBtn.innerText = oldText;
         genBtn.disabled = false;
@@ -1356,15 +1596,13 @@ Content script:
       return;
     }
 
-    // Truncate very long emails to prevent token limit issues
-    const maxEmailLength = 3000; // characters
-    const truncatedOriginal = original.length > maxEmailLength 
-      ? original.substring(0, maxEmailLength) + "\n\n[Email truncated...]"
-      : original;
-    
-    // Get tone mode from storage (default: "match")
-    const toneResult = await safeStorageGet("toneMode");
-    const toneMode = toneResult.toneMode || "match";
+    // Get tone mode and persona from this account's profile (default tone: "match")
+    const profileName = await resolveProfileName();
+    const toneResult = await safeStorageGet(["toneMode", "profiles", ...PERSONA_KEYS]);
+    const profile = profileName !== DEFAULT_PROFILE && toneResult.profiles ? toneResult.profiles[profileName] : null;
+    const settings = profile || toneResult;
+    const toneMode = settings.toneMode || "match";
+    const persona = Object.fromEntries(PERSONA_KEYS.map(key => [key, settings[key]]));
     
     // Base system instruction
     let systemInstruction = `You are an email reply assistant.
@@ -1393,12 +1631,37 @@ Your job:
       // "match" is the default, no additional instruction needed
     }
 
-    // User prompt with the actual email content
-    const userPrompt = `Here is the email I received:
+    // Who is replying, so the reply is signed properly instead of with "[Your Name]"
+    systemInstruction += formatPersonaInstruction(persona);
+
+    // User prompt with the thread's subject and people, then the actual email content
+    const account = getGmailAccount();
+    const threadDetails = formatThreadDetails(threadMessages, getThreadSubject(), account);
+    // When the newest message is the user's own, the reply is a follow-up to its recipients
+    const greeting = threadMessages.length > 0 && isOwnMessage(threadMessages[threadMessages.length - 1], account)
+      ? "I sent the last message myself, so write a follow-up to its To recipients: greet them by name (not me) and pitch it to how I'm involved in the conversation."
+      : "Greet its sender by name and pitch the reply to how I'm involved in the conversation.";
+    const buildUserPrompt = (emailContext) => threadMessages.length > 0
+      ? `${threadDetails}Here is the email conversation I'm replying to, oldest message first:
+
+${emailContext}
 
-${truncatedOriginal}
+Please generate a natural reply to the last message that matches its tone and sentiment, using the earlier messages as context. ${greeting}`
+      : `${threadDetails}Here is the email I received:
+
+${emailContext}
 
 Please generate a natural reply that matches the tone and sentiment of this email.`;
+
+    // Fit the email into the model's context window: whatever the prompt budget leaves after the
+    // instructions goes to the conversation, newest message first
+    const contextBudget = await getContextBudget(profileName);
+    const emailTokens = contextBudget.promptTokens - estimateTokens(systemInstruction) - estimateTokens(buildUserPrompt(""));
+    const fitted = threadMessages.length > 0
+      ? formatThreadTranscript(threadMessages, emailTokens)
+      : fitSingleEmail(original, emailTokens);
+    const userPrompt = buildUserPrompt(fitted.text);
+    const contextNote = describeContextReport(fitted.report, contextBudget);
     
     // Send both system instruction and user prompt
     const prompt = {
@@ -1411,35 +1674,205 @@ Please generate a natural reply that matches the tone and sentiment of this emai
       genBtn.innerText = "Generating...";
     }
 
-    // Send payload to background to call Gemini
-    safeSendMessage({ type: "GENERATE_REPLY", payload: { prompt } }, (response) => {
-      // Restore button state
-      if (genBtn) {
-        genBtn.innerText = oldText;
-        genBtn.disabled = false;
-      }
+    // Sampling preset chosen on the toolbar for this generation
+    const presetSelect = document.getElementById("grg-preset-select");
+    const preset = presetSelect ? presetSelect.value : undefined;
+
+    // STEP 2: Open the preview modal right away and fill it in as the reply streams in.
+    // overrideBudget is set when the user chose to go over an exhausted budget, bypassCache when they
+    // asked to regenerate.
+    const startGeneration = (overrideBudget, bypassCache) => {
+      const preview = showPreviewModal("", {
+        streaming: true,
+        sentPrompt: prompt,
+        strippedParts: Array.from(strippedParts),
+        contextNote: contextNote,
+        onCancel: onCancelGenerationClicked,
+        onRegenerate: () => {
+          if (genBtn) {
+            genBtn.innerText = "Generating...";
+            genBtn.disabled = true;
+          }
+          startGeneration(overrideBudget, true);
+        }
+      });
 
-      if (!response || !response.ok) {
-        const err = response && response.error ? response.error : "Unknown error";
-        alert("Failed to generate reply: " + err);
-        console.error("Generate failed:", response);
-        return;
-      }
+      // Allow the request to be cancelled from the toolbar while it runs
+      const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      setActiveRequest(requestId);
+
+      // Send payload to background to call the model
+      requestGeneration({ prompt, overrideBudget, preset, bypassCache, profile: profileName }, {
+        onChunk: (text) => {
+          preview.append(text);
+        },
+        onStatus: (text) => {
+          // e.g. "Retrying (2/3)…" while the API is rate limiting us
+          if (genBtn) {
+            genBtn.innerText = text;
+          }
+          preview.setStatus(text);
+        },
+        onQueued: (position) => {
+          // Other tabs' requests are ahead of this one
+          const text = `Queued (#${position})`;
+          if (genBtn) {
+            genBtn.innerText = text;
+          }
+          preview.setStatus(`${text} - waiting for earlier requests to finish…`);
+        },
+        onDone: (response) => {
+          // Restore button state
+          setActiveRequest(null);
+          if (genBtn) {
+            genBtn.innerText = oldText;
+            genBtn.disabled = false;
+          }
 
-      // Log that reply was generated
-      const threadIdForLog = getThreadIdFromUrl();
-      addLog('reply', 'generated', {
-        threadId: threadIdForLog,
-        replyLength: response.text.length
-      }).catch(err => console.error("Failed to log:", err));
+          // Log that reply was generated, including which model actually produced it.
+          // Cached replies cost nothing, so they carry no token counts into the usage totals.
+          const threadIdForLog = getThreadIdFromUrl();
+          const usage = response.cached ? null : response.usage;
+          addLog('reply', 'generated', {
+            threadId: threadIdForLog,
+            replyLength: response.text.length,
+            model: response.model,
+            requestedModel: response.requestedModel,
+            variantCount: response.variants ? response.variants.length : 1,
+            promptTokens: usage ? usage.promptTokens : undefined,
+            thinkingTokens: usage ? usage.thinkingTokens : undefined,
+            outputTokens: usage ? usage.outputTokens : undefined,
+            estimatedCost: response.cached ? undefined : response.estimatedCost,
+            preset: response.preset,
+            profile: profileName,
+            cached: response.cached || undefined
+          }).catch(err => console.error("Failed to log:", err));
+
+          // The signature block is added as typed rather than written by the model
+          const finish = (text) => appendPersonaSignature(text, persona);
+          preview.complete(finish(response.text), {
+            model: response.model,
+            requestedModel: response.requestedModel,
+            variants: response.variants ? response.variants.map(finish) : response.variants,
+            replies: response.replies,
+            usage: response.usage,
+            estimatedCost: response.estimatedCost,
+            thoughts: response.thoughts,
+            cachedAt: response.cached ? response.cachedAt : null
+          });
+        },
+        onError: (err, info = {}) => {
+          // Restore button state
+          setActiveRequest(null);
+          if (genBtn) {
+            genBtn.innerText = oldText;
+            genBtn.disabled = false;
+          }
 
-      // STEP 2: Show preview modal instead of directly inserting
-      showPreviewModal(response.text);
+          preview.close();
+
+          if (info.cancelled) {
+            // The user stopped it - log it as its own action rather than showing an error
+            addLog('reply', 'cancelled', {
+              threadId: getThreadIdFromUrl(),
+              requestId: requestId
+            }).catch(err => console.error("Failed to log:", err));
+            return;
+          }
+
+          if (info.budget) {
+            // A budget from the popup is used up - say until when and let the user go over it on purpose
+            const resetAt = new Date(info.budget.resetAt).toLocaleString();
+            if (confirm(`Budget exhausted until ${resetAt} (${info.budget.reason}).\n\nGenerate this reply anyway?`)) {
+              if (genBtn) {
+                genBtn.innerText = "Generating...";
+                genBtn.disabled = true;
+              }
+              startGeneration(true, bypassCache);
+            } else {
+              addLog('reply', 'budget-exhausted', {
+                threadId: getThreadIdFromUrl(),
+                reason: info.budget.reason,
+                resetAt: info.budget.resetAt
+              }).catch(err => console.error("Failed to log:", err));
+            }
+            return;
+          }
+
+          alert("Failed to generate reply: " + (err || "Unknown error"));
+          console.error("Generate failed:", err);
+        }
+      }, requestId);
+    };
+    startGeneration(false, false);
+  }
+
+  // Remember the in-flight request and show the Cancel button only while there is one
+  function setActiveRequest(requestId) {
+    activeRequestId = requestId;
+    const cancelGenBtn = document.getElementById("grg-cancel-btn");
+    if (cancelGenBtn) {
+      cancelGenBtn.style.display = requestId ? "inline-block" : "none";
+      cancelGenBtn.innerText = "Cancel";
+      cancelGenBtn.disabled = false;
+    }
+  }
+
+  // Cancel button handler - asks the service worker to abort the in-flight request
+  function onCancelGenerationClicked() {
+    if (!activeRequestId) return;
+
+    const cancelGenBtn = document.getElementById("grg-cancel-btn");
+    if (cancelGenBtn) {
+      cancelGenBtn.innerText = "Cancelling...";
+      cancelGenBtn.disabled = true;
+    }
+
+    // The generation port reports the cancellation, which restores the toolbar
+    safeSendMessage({ type: "CANCEL_GENERATION", requestId: activeRequestId }, (response) => {
+      if (!response || !response.ok) {
+        console.error("Cancel failed:", response);
+      }
     });
   }
 
   // STEP 2: Create preview modal to show generated reply before inserting
-  function showPreviewModal(replyText) {
+  // With options.streaming the modal opens empty and Insert stays disabled until complete() is called.
+  // options.onRegenerate, when given, adds a Regenerate button that closes this preview and calls it.
+  // options.onCancel is called when the preview is closed while still streaming, to stop the request.
+  // options.sentPrompt ({ systemInstruction, userPrompt }) adds a toggle showing what was sent to the model,
+  // with options.strippedParts listing what the cleaning stage removed from the email.
+  // options.contextNote, when given, says how much of the conversation was left out to fit the model's context.
+  // Returns a handle: { append(text), setStatus(text), complete(finalText, { model, requestedModel, variants, replies, usage, estimatedCost, thoughts, cachedAt }), close() }
+  function showPreviewModal(initialText, options = {}) {
+    let replyText = initialText || "";
+    let streaming = !!options.streaming;
+    let modelUsed = options.model || null;
+    let variants = [];
+    let replies = []; // Structured fields per variant (structured reply mode only)
+    let selectedVariant = 0;
+
+    // Which variant was accepted and which were rejected, for the activity log
+    const variantLogDetails = (accepted) => {
+      if (variants.length < 2) return {};
+      const all = variants.map((v, index) => index + 1);
+      return accepted
+        ? { variantCount: variants.length, acceptedVariant: selectedVariant + 1, rejectedVariants: all.filter(n => n !== selectedVariant + 1) }
+        : { variantCount: variants.length, rejectedVariants: all };
+    };
+
+    // Closing the preview before the reply is complete stops the request instead of leaving it
+    // running (and being charged) in the background. Returns true if it did; the generation then
+    // reports itself as cancelled, so nothing is logged as rejected here.
+    const cancelIfStreaming = () => {
+      if (!streaming || !options.onCancel) return false;
+      streaming = false;
+      modal.remove();
+      document.removeEventListener("keydown", escapeHandler);
+      options.onCancel();
+      return true;
+    };
+
     // Remove existing modal if any
     const existingModal = document.getElementById("grg-preview-modal");
     if (existingModal) {
@@ -1511,11 +1944,14 @@ Please generate a natural reply that matches the tone and sentiment of this emai
       line-height: 30px;
     `;
     closeBtn.onclick = () => {
+      if (cancelIfStreaming()) return;
       // Log that reply was rejected (closed without inserting)
       const threadId = getThreadIdFromUrl();
       addLog('reply', 'rejected', {
         threadId: threadId,
-        replyLength: replyText.length
+        replyLength: replyText.length,
+        model: modelUsed,
+        ...variantLogDetails(false)
       }).catch(err => console.error("Failed to log:", err));
       modal.remove();
     };
@@ -1537,6 +1973,104 @@ Please generate a natural reply that matches the tone and sentiment of this emai
     `;
     reminder.textContent = "⚠️ Please review the generated reply and compare it with the original email above to ensure it matches correctly before inserting.";
 
+    // Which model produced the reply (filled in once generation completes)
+    const modelInfo = document.createElement("div");
+    modelInfo.style.cssText = `
+      font-size: 12px;
+      color: #666;
+      margin-bottom: 8px;
+      display: none;
+    `;
+    const showModelInfo = (model, requestedModel, usage, estimatedCost, cachedAt) => {
+      if (!model) return;
+      modelInfo.textContent = requestedModel && requestedModel !== model
+        ? `Model: ${model} (fallback - ${requestedModel} was unavailable)`
+        : `Model: ${model}`;
+      if (cachedAt) {
+        // Nothing was spent on this one - say where it came from instead of repeating the old cost
+        modelInfo.textContent += ` • Cached reply from ${new Date(cachedAt).toLocaleTimeString()} (Regenerate for a new one)`;
+      } else if (usage) {
+        modelInfo.textContent += ` • ${formatUsage(usage)}`;
+      }
+      if (!cachedAt && typeof estimatedCost === "number") {
+        modelInfo.textContent += ` • ~${formatCost(estimatedCost)}`;
+      }
+      modelInfo.style.color = requestedModel && requestedModel !== model ? "#b06000" : "#666";
+      modelInfo.style.display = "block";
+    };
+    showModelInfo(options.model, options.requestedModel);
+
+    // The model's thought summary (Gemini with "include thought summaries" on), collapsed by default
+    const thoughtsBox = document.createElement("details");
+    thoughtsBox.style.cssText = `
+      font-size: 12px;
+      color: #555;
+      margin-bottom: 8px;
+      display: none;
+    `;
+    const thoughtsSummary = document.createElement("summary");
+    thoughtsSummary.textContent = "Thought summary";
+    thoughtsSummary.style.cssText = `
+      cursor: pointer;
+      color: #1a73e8;
+    `;
+    const thoughtsText = document.createElement("div");
+    thoughtsText.style.cssText = `
+      white-space: pre-wrap;
+      max-height: 150px;
+      overflow-y: auto;
+      padding: 8px;
+      margin-top: 4px;
+      background: #f5f5f5;
+      border-radius: 4px;
+    `;
+    thoughtsBox.appendChild(thoughtsSummary);
+    thoughtsBox.appendChild(thoughtsText);
+
+    // How much of the conversation didn't fit in the prompt budget
+    const contextInfo = document.createElement("div");
+    contextInfo.style.cssText = `
+      font-size: 12px;
+      color: #b06000;
+      margin-bottom: 8px;
+      display: ${options.contextNote ? "block" : "none"};
+    `;
+    contextInfo.textContent = options.contextNote || "";
+
+    // Exactly what the model was given, after quoted history and signatures were stripped, collapsed by default
+    const sentBox = document.createElement("details");
+    sentBox.style.cssText = `
+      font-size: 12px;
+      color: #555;
+      margin-bottom: 8px;
+      display: ${options.sentPrompt ? "block" : "none"};
+    `;
+    const sentSummary = document.createElement("summary");
+    sentSummary.textContent = "Show what was sent to the model";
+    sentSummary.style.cssText = `
+      cursor: pointer;
+      color: #1a73e8;
+    `;
+    const sentText = document.createElement("div");
+    sentText.style.cssText = `
+      white-space: pre-wrap;
+      max-height: 200px;
+      overflow-y: auto;
+      padding: 8px;
+      margin-top: 4px;
+      background: #f5f5f5;
+      border-radius: 4px;
+    `;
+    if (options.sentPrompt) {
+      const stripped = options.strippedParts && options.strippedParts.length > 0
+        ? `Removed before sending: ${options.strippedParts.join(", ")}`
+        : "Nothing was removed before sending";
+      const context = options.contextNote ? `\n${options.contextNote}` : "";
+      sentText.textContent = `${stripped}${context}\n\n=== Instructions ===\n${options.sentPrompt.systemInstruction}\n\n=== Email ===\n${options.sentPrompt.userPrompt}`;
+    }
+    sentBox.appendChild(sentSummary);
+    sentBox.appendChild(sentText);
+
     // Preview text area
     const previewArea = document.createElement("div");
     previewArea.style.cssText = `
@@ -1555,6 +2089,91 @@ Please generate a natural reply that matches the tone and sentiment of this emai
       max-height: 400px;
     `;
     previewArea.textContent = replyText;
+    if (streaming && !replyText) {
+      previewArea.textContent = "Generating...";
+      previewArea.style.color = "#999";
+    }
+
+    // Variant picker - one tab per draft, only shown when more than one came back
+    const variantTabs = document.createElement("div");
+    variantTabs.style.cssText = `
+      display: none;
+      gap: 6px;
+      flex-wrap: wrap;
+      margin-bottom: 8px;
+    `;
+    const renderVariantTabs = () => {
+      variantTabs.innerHTML = "";
+      if (variants.length < 2) {
+        variantTabs.style.display = "none";
+        return;
+      }
+      variantTabs.style.display = "flex";
+      variants.forEach((variant, index) => {
+        const active = index === selectedVariant;
+        const tab = document.createElement("button");
+        tab.textContent = `Variant ${index + 1}`;
+        tab.style.cssText = `
+          padding: 6px 12px;
+          border-radius: 16px;
+          border: 1px solid #1a73e8;
+          background: ${active ? "#1a73e8" : "#fff"};
+          color: ${active ? "#fff" : "#1a73e8"};
+          cursor: pointer;
+          font-size: 12px;
+        `;
+        tab.onclick = () => {
+          selectedVariant = index;
+          replyText = variants[index];
+          previewArea.textContent = replyText;
+          previewArea.scrollTop = 0;
+          renderVariantTabs();
+          renderReplyFields();
+        };
+        variantTabs.appendChild(tab);
+      });
+    };
+
+    // Structured reply fields (subject, detected questions, confidence) shown above the body
+    const replyFields = document.createElement("div");
+    replyFields.style.cssText = `
+      font-size: 13px;
+      color: #333;
+      margin-bottom: 8px;
+      padding: 8px 12px;
+      background: #f8f9fa;
+      border-radius: 4px;
+      display: none;
+    `;
+    const renderReplyFields = () => {
+      const reply = replies[selectedVariant];
+      replyFields.innerHTML = "";
+      if (!reply) {
+        replyFields.style.display = "none";
+        return;
+      }
+      replyFields.style.display = "block";
+
+      const addRow = (label, value, color) => {
+        const row = document.createElement("div");
+        row.style.cssText = `
+          margin-bottom: 4px;
+          color: ${color || "#333"};
+        `;
+        const strong = document.createElement("strong");
+        strong.textContent = label + " ";
+        row.appendChild(strong);
+        row.appendChild(document.createTextNode(value));
+        replyFields.appendChild(row);
+      };
+
+      if (reply.subject) addRow("Suggested subject:", reply.subject);
+      if (reply.questions.length > 0) addRow("Questions in the email:", reply.questions.join(" • "));
+      if (reply.confidence !== null) addRow("Confidence:", `${Math.round(reply.confidence * 100)}%`);
+      if (reply.needsInput) {
+        addRow("⚠️ Needs your input:", "the reply depends on details only you know - check it before sending.", "#b06000");
+      }
+    };
 
     // Buttons container
     const buttonsContainer = document.createElement("div");
@@ -1577,11 +2196,14 @@ Please generate a natural reply that matches the tone and sentiment of this emai
       color: #333;
     `;
     cancelBtn.onclick = () => {
+      if (cancelIfStreaming()) return;
       // Log that reply was rejected
       const threadId = getThreadIdFromUrl();
       addLog('reply', 'rejected', {
         threadId: threadId,
-        replyLength: replyText.length
+        replyLength: replyText.length,
+        model: modelUsed,
+        ...variantLogDetails(false)
       }).catch(err => console.error("Failed to log:", err));
       modal.remove();
     };
@@ -1599,24 +2221,76 @@ Please generate a natural reply that matches the tone and sentiment of this emai
       font-size: 14px;
       font-weight: bold;
     `;
+    // Insert stays disabled while the reply is still streaming in
+    const setInsertEnabled = (enabled) => {
+      insertBtn.disabled = !enabled;
+      insertBtn.style.opacity = enabled ? "1" : "0.6";
+      insertBtn.style.cursor = enabled ? "pointer" : "not-allowed";
+    };
+    setInsertEnabled(!streaming);
+
+    // Regenerate button - discards this reply and asks for a fresh one, skipping the response cache
+    const regenerateBtn = document.createElement("button");
+    regenerateBtn.textContent = "↻ Regenerate";
+    regenerateBtn.title = "Generate a new reply instead of reusing a cached one";
+    regenerateBtn.style.cssText = `
+      padding: 10px 20px;
+      border-radius: 6px;
+      border: 1px solid #1a73e8;
+      background: #fff;
+      color: #1a73e8;
+      cursor: pointer;
+      font-size: 14px;
+      display: ${options.onRegenerate ? "inline-block" : "none"};
+    `;
+    const setRegenerateEnabled = (enabled) => {
+      regenerateBtn.disabled = !enabled;
+      regenerateBtn.style.opacity = enabled ? "1" : "0.6";
+      regenerateBtn.style.cursor = enabled ? "pointer" : "not-allowed";
+    };
+    setRegenerateEnabled(!streaming);
+    regenerateBtn.onclick = () => {
+      if (streaming || !options.onRegenerate) return;
+      addLog('reply', 'rejected', {
+        threadId: getThreadIdFromUrl(),
+        replyLength: replyText.length,
+        model: modelUsed,
+        regenerated: true,
+        ...variantLogDetails(false)
+      }).catch(err => console.error("Failed to log:", err));
+      modal.remove();
+      document.removeEventListener("keydown", escapeHandler);
+      options.onRegenerate();
+    };
+
     insertBtn.onclick = () => {
+      if (streaming) return;
       // STEP 3: Insert only after user confirmation
       // Log that reply was accepted
       const threadId = getThreadIdFromUrl();
       addLog('reply', 'accepted', {
         threadId: threadId,
-        replyLength: replyText.length
+        replyLength: replyText.length,
+        model: modelUsed,
+        ...variantLogDetails(true)
       }).catch(err => console.error("Failed to log:", err));
       modal.remove();
       insertReplyIntoEditor(replyText);
     };
 
     buttonsContainer.appendChild(cancelBtn);
+    buttonsContainer.appendChild(regenerateBtn);
     buttonsContainer.appendChild(insertBtn);
 
     // Assemble modal
     modalContent.appendChild(header);
     modalContent.appendChild(reminder);
+    modalContent.appendChild(modelInfo);
+    modalContent.appendChild(thoughtsBox);
+    modalContent.appendChild(contextInfo);
+    modalContent.appendChild(sentBox);
+    modalContent.appendChild(variantTabs);
+    modalContent.appendChild(replyFields);
     modalContent.appendChild(previewArea);
     modalContent.appendChild(buttonsContainer);
     modal.appendChild(modalContent);
@@ -1627,11 +2301,14 @@ Please generate a natural reply that matches the tone and sentiment of this emai
     // Close on overlay click
     modal.addEventListener("click", (e) => {
       if (e.target === modal) {
+        if (cancelIfStreaming()) return;
         // Log that reply was rejected (clicked outside)
         const threadId = getThreadIdFromUrl();
         addLog('reply', 'rejected', {
           threadId: threadId,
-          replyLength: replyText.length
+          replyLength: replyText.length,
+          model: modelUsed,
+          ...variantLogDetails(false)
         }).catch(err => console.error("Failed to log:", err));
         modal.remove();
       }
@@ -1640,22 +2317,529 @@ Please generate a natural reply that matches the tone and sentiment of this emai
     // Close on Escape key
     const escapeHandler = (e) => {
       if (e.key === "Escape") {
+        if (cancelIfStreaming()) return;
         // Log that reply was rejected (ESC pressed)
         const threadId = getThreadIdFromUrl();
         addLog('reply', 'rejected', {
           threadId: threadId,
-          replyLength: replyText.length
+          replyLength: replyText.length,
+          model: modelUsed,
+          ...variantLogDetails(false)
         }).catch(err => console.error("Failed to log:", err));
         modal.remove();
         document.removeEventListener("keydown", escapeHandler);
       }
     };
     document.addEventListener("keydown", escapeHandler);
+
+    return {
+      append(text) {
+        if (!streaming) return;
+        if (!replyText) {
+          previewArea.style.color = "#333";
+        }
+        replyText += text;
+        previewArea.textContent = replyText;
+        // Keep the newest text in view
+        previewArea.scrollTop = previewArea.scrollHeight;
+      },
+      setStatus(text) {
+        // Only replaces the placeholder - never text that has already streamed in
+        if (streaming && !replyText) {
+          previewArea.textContent = text;
+        }
+      },
+      complete(finalText, info = {}) {
+        streaming = false;
+        replyText = finalText;
+        modelUsed = info.model || modelUsed;
+        showModelInfo(info.model, info.requestedModel, info.usage, info.estimatedCost, info.cachedAt);
+        if (info.thoughts) {
+          thoughtsText.textContent = info.thoughts;
+          thoughtsBox.style.display = "block";
+        }
+        variants = Array.isArray(info.variants) ? info.variants : [];
+        replies = Array.isArray(info.replies) ? info.replies : [];
+        selectedVariant = 0;
+        renderVariantTabs();
+        renderReplyFields();
+        previewArea.style.color = "#333";
+        previewArea.textContent = replyText;
+        setInsertEnabled(true);
+        setRegenerateEnabled(true);
+      },
+      close() {
+        modal.remove();
+        document.removeEventListener("keydown", escapeHandler);
+      }
+    };
+  }
+
+  // "1,234 in / 56 thinking / 789 out tokens" - thinking is left out when the model didn't think
+  function formatUsage(usage) {
+    const parts = [`${(usage.promptTokens || 0).toLocaleString()} in`];
+    if (usage.thinkingTokens) parts.push(`${usage.thinkingTokens.toLocaleString()} thinking`);
+    parts.push(`${(usage.outputTokens || 0).toLocaleString()} out tokens`);
+    return parts.join(" / ");
+  }
+
+  // Costs are usually fractions of a cent, so show enough decimals to be useful
+  function formatCost(cost) {
+    return "$" + (cost >= 0.01 ? cost.toFixed(2) : cost.toFixed(4));
+  }
+
+  // For log text (model names, presets, profiles, reasons) put into the log modal's HTML
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+  }
+
+  // "2026-10-19" in local time, so daily totals sort by date
+  function usageDayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+  }
+
+  // Add a generated reply's tokens and cost to the usage totals ({ days, models }).
+  // Replies without token counts (cached ones) are skipped; returns whether it counted.
+  function addToUsageTotals(usage, day, details) {
+    if (typeof details.outputTokens !== 'number') return false;
+    for (const [totals, key] of [[usage.days, day], [usage.models, details.model || 'unknown']]) {
+      const total = totals[key] || (totals[key] = { replies: 0, promptTokens: 0, thinkingTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 });
+      total.replies += 1;
+      total.promptTokens += details.promptTokens || 0;
+      total.thinkingTokens += details.thinkingTokens || 0;
+      total.outputTokens += details.outputTokens || 0;
+      if (typeof details.estimatedCost === 'number') {
+        total.cost += details.estimatedCost;
+      } else {
+        total.unpriced += 1; // No price for this model - cost is a lower bound
+      }
+    }
+    return true;
+  }
+
+  // The usage totals kept in local storage. Before any were kept, they start from the
+  // generated-reply logs so far.
+  async function loadUsageTotals() {
+    const result = await safeStorageGet([USAGE_STORAGE_KEY]);
+    if (result[USAGE_STORAGE_KEY]) return result[USAGE_STORAGE_KEY];
+    const usage = { days: {}, models: {} };
+    const logResult = await safeStorageGet([LOGS_STORAGE_KEY], null, true);
+    (logResult[LOGS_STORAGE_KEY] || [])
+      .filter(log => log.type === 'reply' && log.action === 'generated' && log.details)
+      .reverse() // Oldest first, like they were recorded
+      .forEach(log => addToUsageTotals(usage, usageDayKey(new Date(log.timestamp)), log.details));
+    return usage;
+  }
+
+  async function recordUsage(details) {
+    const usage = await loadUsageTotals();
+    if (!addToUsageTotals(usage, usageDayKey(new Date()), details)) return;
+    Object.keys(usage.days).sort().reverse().slice(USAGE_DAYS_KEPT).forEach(day => delete usage.days[day]);
+    await safeStorageSet({ [USAGE_STORAGE_KEY]: usage });
+  }
+
+  // Collapsed messages only show a one-line snippet, so open them all before reading the thread.
+  // Gmail's "Expand all" button also opens the "N older messages" bundle.
+  async function expandThreadMessages() {
+    const items = Array.from(document.querySelectorAll("div[role='listitem']"));
+    const hasCollapsed = items.some(item => !item.querySelector(".a3s"));
+    if (!hasCollapsed) return;
+    const expandAll = queryAny(["[aria-label='Expand all']", "[data-tooltip='Expand all']"]);
+    if (!expandAll) return;
+    expandAll.click();
+    // Give Gmail a moment to render the expanded bodies
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  // Read a person from one of Gmail's name chips, which carry "email" and "name" attributes
+  function readPerson(el) {
+    const email = (el.getAttribute("email") || "").trim();
+    const name = (el.getAttribute("name") || el.textContent || "").trim();
+    return { name: name !== email ? name : "", email: email };
+  }
+
+  function formatPerson(person) {
+    if (person.name && person.email) return `${person.name} <${person.email}>`;
+    return person.name || person.email;
+  }
+
+  // To and CC of an expanded message. The header's "show details" table (one row per field, labelled
+  // "to:", "cc:") says which is which; when Gmail hasn't rendered it, the recipient chips shown
+  // in the header ("to me, Carol") are all counted as To.
+  function readRecipients(item) {
+    const recipients = { to: [], cc: [] };
+    const rows = Array.from(item.querySelectorAll("table.ajC tr"));
+    for (const row of rows) {
+      const label = row.cells.length > 0 ? row.cells[0].textContent.trim().toLowerCase().replace(/:$/, "") : "";
+      if (label !== "to" && label !== "cc") continue;
+      recipients[label].push(...Array.from(row.querySelectorAll("span[email]")).map(readPerson));
+    }
+    if (recipients.to.length === 0 && recipients.cc.length === 0) {
+      recipients.to = Array.from(item.querySelectorAll("span.g2[email]"))
+        .filter(el => !el.closest("table.ajC"))
+        .map(readPerson);
+    }
+    return recipients;
+  }
+
+  // Subject of the open conversation
+  function getThreadSubject() {
+    const el = queryAny(["h2.hP", "h2[data-thread-perm-id]"]);
+    return el ? el.textContent.trim() : "";
+  }
+
+  // Whether the user sent this message (replying to it means following up)
+  function isOwnMessage(message, account) {
+    return !!account.email && message.senderEmail.toLowerCase() === account.email;
+  }
+
+  // The "About this conversation" block at the top of the prompt: subject, who the newest message
+  // is from and to, and whether the user is in its To or CC - so the model greets the right person
+  // and pitches the reply to the relationship. Empty when none of it could be read.
+  function formatThreadDetails(messages, subject, account) {
+    const lines = [];
+    if (subject) lines.push(`Subject: ${subject}`);
+
+    const last = messages[messages.length - 1];
+    if (last) {
+      const from = formatPerson({ name: last.senderName, email: last.senderEmail });
+      if (from) lines.push(`${isOwnMessage(last, account) ? "Last message from" : "Replying to"}: ${from}`);
+      if (last.to.length > 0) lines.push(`To: ${last.to.map(formatPerson).join(", ")}`);
+      if (last.cc.length > 0) lines.push(`Cc: ${last.cc.map(formatPerson).join(", ")}`);
+
+      if (account.email) {
+        const isMe = (person) => person.email.toLowerCase() === account.email;
+        let role;
+        if (isOwnMessage(last, account)) {
+          role = "I sent this message myself and am following up";
+        } else if (last.to.some(isMe)) {
+          role = "I'm in To";
+        } else if (last.cc.some(isMe)) {
+          role = "I'm in Cc";
+        } else {
+          role = "I'm not in To or Cc - probably Bcc or a mailing list";
+        }
+        lines.push(`Me: ${account.email} (${role})`);
+      }
+    }
+
+    return lines.length > 0 ? `About this conversation:\n${lines.join("\n")}\n\n` : "";
+  }
+
+  // Parts of a message body that are never worth sending, whatever the language: Gmail's quoted
+  // history and signature blocks, and quoted replies from other mail clients
+  const QUOTED_BODY_SELECTORS = {
+    "quoted history": [".gmail_quote", "blockquote", ".gmail_extra"],
+    "signature": [".gmail_signature", "[data-smartmail='gmail_signature']"]
+  };
+
+  // Text of a message body without its quoted history and signature elements. The cleaned copy is
+  // laid out off-screen for a moment so innerText keeps the line breaks. Labels of what was
+  // stripped are added to removed. Returns "" for an empty body; a body that is nothing but
+  // a quote is returned whole.
+  function readBodyText(bodyEl, removed) {
+    const fullText = (bodyEl.innerText || bodyEl.textContent || "").trim();
+    const clone = bodyEl.cloneNode(true);
+    const stripped = [];
+    for (const [label, selectors] of Object.entries(QUOTED_BODY_SELECTORS)) {
+      const nodes = clone.querySelectorAll(selectors.join(", "));
+      if (nodes.length === 0) continue;
+      nodes.forEach(node => node.remove());
+      stripped.push(label);
+    }
+    if (stripped.length === 0) return fullText;
+
+    const holder = document.createElement("div");
+    holder.style.cssText = `
+      position: fixed;
+      left: -10000px;
+      top: 0;
+      width: 600px;
+    `;
+    holder.appendChild(clone);
+    document.body.appendChild(holder);
+    const text = (clone.innerText || clone.textContent || "").trim();
+    holder.remove();
+
+    if (!text) return fullText;
+    stripped.forEach(label => {
+      if (!removed.includes(label)) removed.push(label);
+    });
+    return text;
+  }
+
+  // Extract every message in the open conversation, oldest first, as
+  // { senderName, senderEmail, date, to: [{ name, email }], cc: [{ name, email }], body, snippetOnly }.
+  // Messages that are still collapsed contribute their preview snippet instead of the body.
+  // Labels of the quoted history and signatures stripped from the bodies are added to removed.
+  function extractThreadMessages(removed = []) {
+    const items = Array.from(document.querySelectorAll("div[role='listitem']"));
+    const messages = [];
+
+    for (const item of items) {
+      const bodyEl = queryAny([".a3s.aiL", ".a3s", ".ii.gt"], item);
+      const body = bodyEl ? readBodyText(bodyEl, removed) : "";
+      const snippetEl = body ? null : queryAny([".iA.g6", "span.y2"], item);
+      // Snippets in the collapsed row start with " - "
+      const snippet = snippetEl ? (snippetEl.innerText || snippetEl.textContent || "").replace(/^\s*-\s*/, "").trim() : "";
+      if (!body && !snippet) continue;
+
+      // span.gD is the sender in an expanded header, span.zF / span.yP in a collapsed row
+      const senderEl = queryAny(["span.gD[email]", "span.zF[email]", "span.yP[email]", "span[email]"], item);
+      const sender = senderEl ? readPerson(senderEl) : { name: "", email: "" };
+      const recipients = readRecipients(item);
+      // The short date is shown as text, the full timestamp lives in the title
+      const dateEl = queryAny(["span.g3[title]", "span.g3"], item);
+      const date = dateEl ? (dateEl.getAttribute("title") || dateEl.textContent || "").trim() : "";
+
+      messages.push({
+        senderName: sender.name,
+        senderEmail: sender.email,
+        date: date,
+        to: recipients.to,
+        cc: recipients.cc,
+        body: body || snippet,
+        snippetOnly: !body
+      });
+    }
+
+    return messages;
+  }
+
+  // The "About me" part of the system instruction, built from the persona settings in the popup.
+  // Empty when none are set.
+  function formatPersonaInstruction(persona) {
+    const lines = [];
+    if (persona.personaName) lines.push(`- Name: ${persona.personaName}`);
+    const position = [persona.personaRole, persona.personaCompany].filter(Boolean).join(" at ");
+    if (position) lines.push(`- Role: ${position}`);
+    if (lines.length === 0 && !persona.signOff && !persona.signature) return "";
+
+    const signOff = persona.signOff ? `"${persona.signOff}"` : "a sign-off that fits the tone";
+    if (persona.signature && !persona.appendSignature) {
+      lines.push(`- End the reply with ${signOff}, then this signature exactly as written:\n${persona.signature}`);
+    } else {
+      // With appendSignature the signature block is added after generation, so the model must not write one
+      const name = persona.personaName ? ` followed by ${persona.personaName}` : "";
+      lines.push(`- End the reply with ${signOff}${name}. Do not add a signature block${persona.signature ? " - it is added automatically" : ""}.`);
+    }
+    lines.push("- Never use placeholders such as [Your Name] - write as me.");
+    return `\n\nAbout me (the person replying):\n${lines.join("\n")}`;
+  }
+
+  // Add the signature block after generation when the persona asks for it (and the model didn't already)
+  function appendPersonaSignature(text, persona) {
+    if (!persona.appendSignature || !persona.signature || !text) return text;
+    if (text.includes(persona.signature)) return text;
+    return `${text.replace(/\s+$/, "")}\n\n${persona.signature}`;
+  }
+
+  // About 4 characters per token for English text - close enough for budgeting without asking the API
+  function estimateTokens(text) {
+    return Math.ceil((text || "").length / 4);
+  }
+
+  // Ask background how many prompt tokens this profile's model chain allows. If it can't tell
+  // (e.g. settings are missing - the generation itself reports that), use the default cap.
+  function getContextBudget(profileName) {
+    return new Promise((resolve) => {
+      safeSendMessage({ type: "GET_CONTEXT_BUDGET", profile: profileName }, (response) => {
+        resolve(response && response.ok
+          ? response
+          : { model: null, contextWindow: null, promptTokens: DEFAULT_CONTEXT_TOKENS });
+      });
+    });
+  }
+
+  // Cut text to roughly maxTokens. Returns { text, omittedTokens }.
+  function truncateToTokens(text, maxTokens) {
+    const maxChars = Math.max(0, maxTokens) * 4;
+    if (text.length <= maxChars) return { text: text, omittedTokens: 0 };
+    return {
+      text: text.substring(0, maxChars) + "\n\n[Email truncated...]",
+      omittedTokens: estimateTokens(text) - Math.max(0, maxTokens)
+    };
+  }
+
+  // A single email (no thread structure found), cut only when it doesn't fit on its own
+  function fitSingleEmail(text, maxTokens) {
+    const cut = truncateToTokens(text, maxTokens);
+    return {
+      text: cut.text,
+      report: { messages: 1, newestTruncated: cut.omittedTokens > 0, shortened: 0, omitted: 0, omittedTokens: cut.omittedTokens }
+    };
+  }
+
+  // One message of the transcript: a numbered header, From/To/Date lines and the body
+  function formatMessageBlock(message, index, total, body, shortened) {
+    const isLast = index === total - 1;
+    const lines = [`--- Message ${index + 1} of ${total}${isLast ? " (the one I'm replying to)" : ""} ---`];
+    const from = formatPerson({ name: message.senderName, email: message.senderEmail });
+    if (from) lines.push(`From: ${from}`);
+    if (message.to.length > 0) lines.push(`To: ${message.to.map(formatPerson).join(", ")}`);
+    if (message.cc.length > 0) lines.push(`Cc: ${message.cc.map(formatPerson).join(", ")}`);
+    if (message.date) lines.push(`Date: ${message.date}`);
+    if (message.snippetOnly) lines.push("(collapsed - only a preview is available)");
+    if (shortened) lines.push("(shortened - only the beginning is included)");
+    lines.push("", body);
+    return lines.join("\n");
+  }
+
+  // Build the labelled transcript sent to the model within maxTokens. The newest message (the one
+  // being replied to) is always kept whole unless it is too long on its own. Older messages are
+  // added newest to oldest: whole if they fit, else just their opening lines; once one doesn't fit
+  // even shortened, it and everything older is left out.
+  // Returns { text, report: { messages, newestTruncated, shortened, omitted, omittedTokens } }.
+  function formatThreadTranscript(messages, maxTokens) {
+    const total = messages.length;
+    const report = { messages: total, newestTruncated: false, shortened: 0, omitted: 0, omittedTokens: 0 };
+
+    const newest = truncateToTokens(formatMessageBlock(messages[total - 1], total - 1, total, messages[total - 1].body, false), maxTokens);
+    report.newestTruncated = newest.omittedTokens > 0;
+    report.omittedTokens += newest.omittedTokens;
+
+    const kept = [newest.text];
+    let remaining = maxTokens - estimateTokens(newest.text);
+    let i = total - 2;
+    for (; i >= 0; i--) {
+      const message = messages[i];
+      const full = formatMessageBlock(message, i, total, message.body, false);
+      const fullTokens = estimateTokens(full) + 1; // + the blank line between messages
+      if (fullTokens <= remaining) {
+        kept.unshift(full);
+        remaining -= fullTokens;
+        continue;
+      }
+      if (message.body.length > SHORTENED_MESSAGE_CHARS) {
+        const opening = message.body.substring(0, SHORTENED_MESSAGE_CHARS).replace(/\s+\S*$/, "") + " […]";
+        const short = formatMessageBlock(message, i, total, opening, true);
+        const shortTokens = estimateTokens(short) + 1;
+        if (shortTokens <= remaining) {
+          kept.unshift(short);
+          remaining -= shortTokens;
+          report.shortened++;
+          report.omittedTokens += fullTokens - shortTokens;
+          continue;
+        }
+      }
+      break;
+    }
+    // Everything from i back to the first message didn't fit
+    for (; i >= 0; i--) {
+      report.omitted++;
+      report.omittedTokens += estimateTokens(formatMessageBlock(messages[i], i, total, messages[i].body, false));
+    }
+
+    if (report.omitted > 0) {
+      kept.unshift(`[${report.omitted} earlier message${report.omitted === 1 ? "" : "s"} left out to fit the model's context]`);
+    }
+    return { text: kept.join("\n\n"), report: report };
+  }
+
+  // What the budgeter left out, for the preview - null when everything was sent
+  function describeContextReport(report, budget) {
+    if (report.omittedTokens <= 0) return null;
+    const parts = [];
+    if (report.omitted > 0) {
+      parts.push(`${report.omitted} of ${report.messages} message${report.messages === 1 ? "" : "s"} left out`);
+    }
+    if (report.shortened > 0) {
+      parts.push(`${report.shortened} shortened`);
+    }
+    if (report.newestTruncated) {
+      parts.push(report.messages > 1 ? "the newest message cut short" : "the email cut short");
+    }
+    const limit = `the ${budget.promptTokens.toLocaleString()}-token prompt budget${budget.model ? ` for ${budget.model}` : ""}`;
+    return `Context: ${parts.join(", ")} (~${report.omittedTokens.toLocaleString()} tokens not sent) to fit ${limit}.`;
+  }
+
+  // Patterns for the cleaning stage below. Each one marks where the part of the email worth sending ends,
+  // so each needs the full boilerplate shape - an ordinary sentence in the body must never match.
+  const QUOTE_HEADER_PATTERNS = [
+    // Gmail/Apple Mail: "On Mon, Oct 5, 2026 at 9:00 AM Bob <bob@x.com> wrote:" - the date or address
+    // is required, so "On second thought, I wrote:" stays in the body
+    /^On (?=[^\n]*(?:\n[^\n]*)?(?:\d|@))[^\n]*(?:\n[^\n]*)?wrote:[ \t]*$/m,
+    /^-{2,}\s*Original Message\s*-{2,}/im,          // Outlook
+    /^_{10,}\s*\n(?:From|Von|De):/m,                  // Outlook on the web
+    /^(?:From|Von|De): [^\n]+\n(?:Sent|Date|Gesendet|Envoyé): /m
+  ];
+  const SIGNATURE_PATTERNS = [
+    /^-- ?$/m,                                        // Standard "-- " signature separator
+    // Mobile footers only count as the last line of the message
+    /^Sent from my [^\n]+\s*(?![\s\S])/im,
+    /^Get Outlook for [^\n]+\s*(?![\s\S])/im
+  ];
+  const DISCLAIMER_START = /^(?:\**\s*)?(?:CONFIDENTIAL(?:ITY)?(?: NOTICE)?\b|DISCLAIMER\b|This (?:e-?mail|message|communication)(?: and any (?:files|attachments)[^\n]*?)? (?:is|are|may contain|contains) (?:confidential|privileged|intended)|The information (?:contained )?in this (?:e-?mail|message)|If you (?:are not the intended recipient|have received this (?:e-?mail|message) in error))/i;
+  const DISCLAIMER_WORDING = /intended (?:solely |only )?(?:for|recipient)|received this (?:e-?mail|message|communication) in error|notify the sender|unauthori[sz]ed (?:use|review|disclosure|distribution)|strictly prohibited/i;
+
+  // Where a legal footer starts, or -1. It has to open a paragraph (possibly after a "____" rule) and
+  // read like boilerplate within that paragraph or the next - who the email is intended for, what to
+  // do with it if it arrived in error - so "this message is confidential between us" is kept.
+  function findDisclaimer(text) {
+    const paragraphStart = /(?:^|\n[ \t]*\n)(?:[ \t]*[-_=*]{3,}[ \t]*\n)?[ \t]*/g;
+    let match;
+    while ((match = paragraphStart.exec(text))) {
+      const rest = text.slice(match.index + match[0].length);
+      const opening = rest.split(/\n[ \t]*\n/).slice(0, 2).join("\n");
+      if (DISCLAIMER_START.test(rest) && DISCLAIMER_WORDING.test(opening)) return match.index;
+      if (!match[0]) paragraphStart.lastIndex++;
+    }
+    return -1;
+  }
+
+  // Index of the earliest match of a group of patterns, or -1
+  function firstMatchIndex(text, patterns) {
+    let index = -1;
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match && (index === -1 || match.index < index)) index = match.index;
+    }
+    return index;
+  }
+
+  // Cleaning stage run on each extracted body, after readBodyText has dropped Gmail's quote and
+  // signature elements: catches what is left only as text - quoted replies, Gmail's trimmed-content
+  // markers, signatures and legal footers. Returns { text, removed } where removed names what was stripped.
+  // If nothing would be left (e.g. a message that is only a forward) the original text is kept.
+  function cleanEmailBody(text) {
+    const removed = [];
+    let cleaned = text;
+
+    // Drop everything from index on, as long as something is left before it
+    const cutAt = (index, label) => {
+      if (index !== -1 && cleaned.slice(0, index).trim()) {
+        cleaned = cleaned.slice(0, index);
+        removed.push(label);
+      }
+    };
+
+    cutAt(firstMatchIndex(cleaned, QUOTE_HEADER_PATTERNS), "quoted history");
+
+    // "> " quoted lines left inline, plus Gmail's "..." / "[Quoted text hidden]" trimmed-content markers
+    const lines = cleaned.split("\n");
+    const kept = lines.filter(line => !/^\s*>/.test(line));
+    if (kept.length < lines.length && kept.join("").trim()) {
+      cleaned = kept.join("\n");
+      if (!removed.includes("quoted history")) removed.push("quoted history");
+    }
+    const withoutMarkers = cleaned.replace(/^[ \t]*(?:\.\.\.|…|\[Quoted text hidden\]|Show trimmed content)[ \t]*$/gim, "");
+    if (withoutMarkers !== cleaned) {
+      cleaned = withoutMarkers;
+      removed.push("trimmed-content markers");
+    }
+
+    cutAt(findDisclaimer(cleaned), "disclaimer");
+    cutAt(firstMatchIndex(cleaned, SIGNATURE_PATTERNS), "signature");
+
+    cleaned = cleaned.replace(/\n{3,}/g, "\n\n").trim();
+    if (!cleaned) return { text: text.trim(), removed: [] };
+    return { text: cleaned, removed: removed };
   }
 
   // Extract original email text — STEP 1: Capture ONLY when Generate Reply is pressed
   // This ensures we always read the "active" email currently on screen
-  function extractOriginalEmailText() {
+  // Labels of what readBodyText stripped are added to removed.
+  function extractOriginalEmailText(removed = []) {
     // In Gmail conversation view, we want the LAST message (the one being replied to)
     // Try to find all messages and get the most recent one
     const messageSelectors = [
@@ -1694,17 +2878,17 @@ Please generate a natural reply that matches the tone and sentiment of this emai
       for (const s of bodySelectors) {
         const bodyEl = targetMessage.querySelector(s);
         if (bodyEl) {
-          const text = bodyEl.innerText || bodyEl.textContent;
-          if (text && text.trim().length > 0) {
-            return text.trim();
+          const text = readBodyText(bodyEl, removed);
+          if (text) {
+            return text;
           }
         }
       }
 
       // Fallback: use the entire message container
-      const text = targetMessage.innerText || targetMessage.textContent;
-      if (text && text.trim().length > 0) {
-        return text.trim();
+      const text = readBodyText(targetMessage, removed);
+      if (text) {
+        return text;
       }
     }
 
@@ -1718,9 +2902,9 @@ Please generate a natural reply that matches the tone and sentiment of this emai
     for (const s of directSelectors) {
       const el = document.querySelector(s);
       if (el) {
-        const text = el.innerText || el.textContent;
-        if (text && text.trim().length > 0) {
-          return text.trim();
+        const text = readBodyText(el, removed);
+        if (text) {
+          return text;
         }
       }
     }
@@ -2043,6 +3227,19 @@ Please generate a natural reply that matches the tone and sentiment of this emai
       border-bottom: 2px solid transparent;
       color: #666;
     `;
+    const usageTab = document.createElement("button");
+    usageTab.textContent = "Usage & Cost";
+    usageTab.className = "grg-log-tab";
+    usageTab.style.cssText = `
+      flex: 1;
+      padding: 12px;
+      border: none;
+      background: transparent;
+      cursor: pointer;
+      font-size: 14px;
+      border-bottom: 2px solid transparent;
+      color: #666;
+    `;
 
     // Tab content containers
     const extensionLogsContainer = document.createElement("div");
@@ -2065,44 +3262,47 @@ Please generate a natural reply that matches the tone and sentiment of this emai
       display: none;
     `;
 
-    // Tab switching
-    extensionTab.addEventListener("click", () => {
-      extensionTab.classList.add("active");
-      replyTab.classList.remove("active");
-      extensionLogsContainer.style.display = "block";
-      replyLogsContainer.style.display = "none";
-      extensionTab.style.borderBottomColor = "#1a73e8";
-      extensionTab.style.color = "#1a73e8";
-      extensionTab.style.fontWeight = "bold";
-      replyTab.style.borderBottomColor = "transparent";
-      replyTab.style.color = "#666";
-      replyTab.style.fontWeight = "normal";
-    });
+    const usageLogsContainer = document.createElement("div");
+    usageLogsContainer.id = "grg-usage-logs";
+    usageLogsContainer.className = "grg-log-section";
+    usageLogsContainer.style.cssText = `
+      padding: 16px;
+      overflow-y: auto;
+      max-height: calc(80vh - 120px);
+      display: none;
+    `;
 
-    replyTab.addEventListener("click", () => {
-      replyTab.classList.add("active");
-      extensionTab.classList.remove("active");
-      replyLogsContainer.style.display = "block";
-      extensionLogsContainer.style.display = "none";
-      replyTab.style.borderBottomColor = "#1a73e8";
-      replyTab.style.color = "#1a73e8";
-      replyTab.style.fontWeight = "bold";
-      extensionTab.style.borderBottomColor = "transparent";
-      extensionTab.style.color = "#666";
-      extensionTab.style.fontWeight = "normal";
+    // Tab switching - each tab shows its own container and hides the others
+    const tabs = [
+      { tab: extensionTab, container: extensionLogsContainer },
+      { tab: replyTab, container: replyLogsContainer },
+      { tab: usageTab, container: usageLogsContainer }
+    ];
+    const selectTab = (selected) => {
+      tabs.forEach(({ tab, container }) => {
+        const isActive = tab === selected;
+        tab.classList.toggle("active", isActive);
+        container.style.display = isActive ? "block" : "none";
+        tab.style.borderBottomColor = isActive ? "#1a73e8" : "transparent";
+        tab.style.color = isActive ? "#1a73e8" : "#666";
+        tab.style.fontWeight = isActive ? "bold" : "normal";
+      });
+    };
+    tabs.forEach(({ tab }) => {
+      tab.addEventListener("click", () => selectTab(tab));
     });
 
     // Set initial active tab styles
-    extensionTab.style.borderBottomColor = "#1a73e8";
-    extensionTab.style.color = "#1a73e8";
-    extensionTab.style.fontWeight = "bold";
+    selectTab(extensionTab);
 
     tabContainer.appendChild(extensionTab);
     tabContainer.appendChild(replyTab);
+    tabContainer.appendChild(usageTab);
 
     modalBody.appendChild(tabContainer);
     modalBody.appendChild(extensionLogsContainer);
     modalBody.appendChild(replyLogsContainer);
+    modalBody.appendChild(usageLogsContainer);
 
     modalContent.appendChild(modalHeader);
     modalContent.appendChild(modalBody);
@@ -2133,8 +3333,9 @@ Please generate a natural reply that matches the tone and sentiment of this emai
   async function loadLogsIntoModal() {
     const extensionContainer = document.getElementById("grg-extension-logs");
     const replyContainer = document.getElementById("grg-reply-logs");
+    const usageContainer = document.getElementById("grg-usage-logs");
     
-    if (!extensionContainer || !replyContainer) return;
+    if (!extensionContainer || !replyContainer || !usageContainer) return;
 
     try {
       const result = await safeStorageGet([LOGS_STORAGE_KEY], null, true); // Use sync storage
@@ -2152,7 +3353,7 @@ Please generate a natural reply that matches the tone and sentiment of this emai
           const actionLabel = {
             'enabled': 'Extension Enabled',
             'disabled': 'Extension Disabled'
-          }[log.action] || log.action;
+          }[log.action] || escapeHtml(log.action);
           
           const icon = {
             'enabled': '✓',
@@ -2172,7 +3373,7 @@ Please generate a natural reply that matches the tone and sentiment of this emai
             ">
               <div style="color: #666; font-size: 11px; margin-bottom: 4px;">${log.date} at ${log.time}</div>
               <div style="font-weight: bold; color: #333;">${icon} ${actionLabel}</div>
-              ${log.details && log.details.threadId ? `<div style="color: #666; font-size: 11px; margin-top: 4px;">Thread: ${log.details.threadId.substring(0, 20)}...</div>` : ''}
+              ${log.details && log.details.threadId ? `<div style="color: #666; font-size: 11px; margin-top: 4px;">Thread: ${escapeHtml(log.details.threadId.substring(0, 20))}...</div>` : ''}
             </div>
           `;
         }).join('');
@@ -2186,27 +3387,46 @@ Please generate a natural reply that matches the tone and sentiment of this emai
           const actionLabel = {
             'generated': 'Reply Generated',
             'accepted': 'Reply Accepted',
-            'rejected': 'Reply Rejected'
-          }[log.action] || log.action;
+            'rejected': 'Reply Rejected',
+            'cancelled': 'Generation Cancelled',
+            'budget-exhausted': 'Budget Exhausted'
+          }[log.action] || escapeHtml(log.action);
           
           const icon = {
             'generated': '⚡',
             'accepted': '✓',
-            'rejected': '✗'
+            'rejected': '✗',
+            'cancelled': '⊘',
+            'budget-exhausted': '⛔'
           }[log.action] || '•';
           
           const borderColor = {
             'generated': '#2196f3',
             'accepted': '#4caf50',
-            'rejected': '#ff9800'
+            'rejected': '#ff9800',
+            'cancelled': '#9e9e9e',
+            'budget-exhausted': '#f44336'
           }[log.action] || '#ddd';
           
           let detailsText = '';
           if (log.details) {
             const parts = [];
             if (log.details.replyLength) parts.push(`Length: ${log.details.replyLength} chars`);
+            if (log.details.model) parts.push(`Model: ${log.details.model}`);
+            if (log.details.preset) parts.push(`Preset: ${log.details.preset}`);
+            if (log.details.profile) parts.push(`Profile: ${log.details.profile}`);
+            if (log.details.cached) parts.push('From cache');
+            if (log.details.regenerated) parts.push('Regenerated');
+            if (typeof log.details.outputTokens === 'number') parts.push(`Tokens: ${formatUsage(log.details)}`);
+            if (typeof log.details.estimatedCost === 'number') parts.push(`Cost: ~${formatCost(log.details.estimatedCost)}`);
+            if (log.details.acceptedVariant) {
+              parts.push(`Accepted variant ${log.details.acceptedVariant} of ${log.details.variantCount}`);
+            } else if (log.details.variantCount > 1) {
+              parts.push(`${log.details.variantCount} variants`);
+            }
+            if (log.details.reason) parts.push(log.details.reason);
             if (log.details.threadId) parts.push(`Thread: ${log.details.threadId.substring(0, 15)}...`);
-            if (parts.length > 0) detailsText = parts.join(' • ');
+            if (parts.length > 0) detailsText = escapeHtml(parts.join(' • '));
           }
           
           return `
@@ -2225,13 +3445,61 @@ Please generate a natural reply that matches the tone and sentiment of this emai
           `;
         }).join('');
       }
+
+      // Render usage totals, which are kept apart from the logs
+      usageContainer.innerHTML = renderUsageTotals(await loadUsageTotals());
     } catch (error) {
       console.error("Failed to load logs:", error);
       extensionContainer.innerHTML = '<p style="text-align: center; color: #f44336; margin: 20px 0;">Error loading logs. Please try again.</p>';
       replyContainer.innerHTML = '<p style="text-align: center; color: #f44336; margin: 20px 0;">Error loading logs. Please try again.</p>';
+      usageContainer.innerHTML = '<p style="text-align: center; color: #f44336; margin: 20px 0;">Error loading logs. Please try again.</p>';
     }
   }
 
+  // Build the Usage & Cost tab: token and cost totals per day and per model
+  function renderUsageTotals(usage) {
+    if (Object.keys(usage.models).length === 0) {
+      return '<p style="text-align: center; color: #666; margin: 20px 0;">No token usage recorded yet.</p>';
+    }
+
+    // Newest day first, shown in the user's date format
+    const days = {};
+    Object.keys(usage.days).sort().reverse().forEach(day => {
+      days[new Date(`${day}T00:00:00`).toLocaleDateString()] = usage.days[day];
+    });
+
+    const renderTable = (title, totals) => `
+      <div style="font-weight: bold; color: #333; margin: 8px 0;">${title}</div>
+      <table style="width: 100%; border-collapse: collapse; font-size: 12px; margin-bottom: 16px;">
+        <tr style="text-align: left; color: #666; border-bottom: 1px solid #ddd;">
+          <th style="padding: 4px;"></th>
+          <th style="padding: 4px;">Replies</th>
+          <th style="padding: 4px;">Input</th>
+          <th style="padding: 4px;">Thinking</th>
+          <th style="padding: 4px;">Output</th>
+          <th style="padding: 4px;">Est. cost</th>
+        </tr>
+        ${Object.keys(totals).map(key => {
+          const total = totals[key];
+          return `
+            <tr style="border-bottom: 1px solid #eee;">
+              <td style="padding: 4px;">${escapeHtml(key)}</td>
+              <td style="padding: 4px;">${total.replies}</td>
+              <td style="padding: 4px;">${total.promptTokens.toLocaleString()}</td>
+              <td style="padding: 4px;">${total.thinkingTokens.toLocaleString()}</td>
+              <td style="padding: 4px;">${total.outputTokens.toLocaleString()}</td>
+              <td style="padding: 4px;">${formatCost(total.cost)}${total.unpriced ? ' <span style="color: #b06000;" title="Some replies used a model with no price set">*</span>' : ''}</td>
+            </tr>
+          `;
+        }).join('')}
+      </table>
+    `;
+
+    return renderTable('Per day', days) +
+      renderTable('Per model', usage.models) +
+      '<p style="color: #666; font-size: 11px;">Costs are estimates from the price table in the extension settings. * = some replies used a model with no price set.</p>';
+  }
+
   // This handles cases where Gmail loads content asynchronously
   let retryCount = 0;
   const maxRetries = 20; // Increased retries
@@ -2340,4 +3608,18 @@ Please generate a natural reply that matches the tone and sentiment of this emai
     }
     return true; // Indicate async response
   });
+
+  // Keep the toolbar pickers in step with changes made in the popup or in other Gmail tabs
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local" || !isExtensionContextValid()) return;
+    const presetSelect = document.getElementById("grg-preset-select");
+    if (presetSelect && (changes.generationPresets || changes.activePreset)) {
+      loadPresetOptions(presetSelect);
+    }
+    // A deleted profile drops back to "Auto"; a renamed or new one shows up at once
+    const profileSelect = document.getElementById("grg-profile-select");
+    if (profileSelect && (changes.profiles || changes.accountProfiles)) {
+      loadProfileOptions(profileSelect);
+    }
+  });
 })();
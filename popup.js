@@ -1,21 +1,608 @@
 document.addEventListener("DOMContentLoaded", () => {
+  const provider = document.getElementById("provider");
   const apiBase = document.getElementById("apiBase");
+  const profileSelect = document.getElementById("profileSelect");
+  const newProfileBtn = document.getElementById("newProfileBtn");
+  const deleteProfileBtn = document.getElementById("deleteProfileBtn");
+  const profileAccountsSection = document.getElementById("profileAccountsSection");
+  const profileAccounts = document.getElementById("profileAccounts");
   const apiKey = document.getElementById("apiKey");
+  const urlTemplate = document.getElementById("urlTemplate");
+  const customHeaders = document.getElementById("customHeaders");
+  const encryptApiKey = document.getElementById("encryptApiKey");
+  const passphraseSection = document.getElementById("passphraseSection");
+  const keyPassphrase = document.getElementById("keyPassphrase");
+  const unlockBtn = document.getElementById("unlockBtn");
+  const keyLockStatus = document.getElementById("keyLockStatus");
   const model = document.getElementById("model");
+  const fallbackModels = document.getElementById("fallbackModels");
   const maxTokens = document.getElementById("maxTokens");
+  const maxContextTokens = document.getElementById("maxContextTokens");
+  const maxRetries = document.getElementById("maxRetries");
+  const maxConcurrentRequests = document.getElementById("maxConcurrentRequests");
+  const maxRequestsPerMinute = document.getElementById("maxRequestsPerMinute");
+  const replyVariants = document.getElementById("replyVariants");
+  const modelPrices = document.getElementById("modelPrices");
+  const maxRequestsPerDay = document.getElementById("maxRequestsPerDay");
+  const maxTokensPerMonth = document.getElementById("maxTokensPerMonth");
+  const maxSpendPerMonth = document.getElementById("maxSpendPerMonth");
+  const budgetUsage = document.getElementById("budgetUsage");
+  const presetSelect = document.getElementById("presetSelect");
+  const newPresetBtn = document.getElementById("newPresetBtn");
+  const deletePresetBtn = document.getElementById("deletePresetBtn");
+  const temperature = document.getElementById("temperature");
+  const topP = document.getElementById("topP");
+  const topK = document.getElementById("topK");
+  const stopSequences = document.getElementById("stopSequences");
+  const thinkingSection = document.getElementById("thinkingSection");
+  const thinkingBudget = document.getElementById("thinkingBudget");
+  const includeThoughts = document.getElementById("includeThoughts");
+  const safetySection = document.getElementById("safetySection");
+  const safetySelects = Array.from(document.querySelectorAll("#safetySection select[data-category]"));
   const toneMode = document.getElementById("toneMode");
+  const personaName = document.getElementById("personaName");
+  const personaRole = document.getElementById("personaRole");
+  const personaCompany = document.getElementById("personaCompany");
+  const signOff = document.getElementById("signOff");
+  const signature = document.getElementById("signature");
+  const appendSignature = document.getElementById("appendSignature");
+  const streamingEnabled = document.getElementById("streamingEnabled");
+  const jsonReplyMode = document.getElementById("jsonReplyMode");
+  const cacheEnabled = document.getElementById("cacheEnabled");
+  const cacheTtlMinutes = document.getElementById("cacheTtlMinutes");
+  const cacheMaxEntries = document.getElementById("cacheMaxEntries");
+  const clearCacheBtn = document.getElementById("clearCacheBtn");
+  const cacheStats = document.getElementById("cacheStats");
   const loggingEnabled = document.getElementById("loggingEnabled");
   const saveBtn = document.getElementById("saveBtn");
   const clearBtn = document.getElementById("clearBtn");
   const downloadLogsBtn = document.getElementById("downloadLogsBtn");
 
+  const localNote = document.getElementById("localNote");
+  const mockSection = document.getElementById("mockSection");
+  const mockDelayMs = document.getElementById("mockDelayMs");
+  const mockErrorRate = document.getElementById("mockErrorRate");
+  const mockReplyTemplate = document.getElementById("mockReplyTemplate");
+  const refreshModelsBtn = document.getElementById("refreshModelsBtn");
+  const modelsStatus = document.getElementById("modelsStatus");
+  const modelLimits = document.getElementById("modelLimits");
+  const defaultMaxTokensLimit = parseInt(maxTokens.max, 10);
+
+  // Select a model, adding it as an option if the list doesn't have it (e.g. a custom or retired model)
+  function selectModel(value) {
+    if (!value) return;
+    if (!Array.from(model.options).some(o => o.value === value)) {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = value;
+      model.appendChild(option);
+    }
+    model.value = value;
+  }
+
+  // Replace a provider's model options with a list fetched from its models endpoint
+  function fillModelGroup(providerName, models) {
+    const group = model.querySelector(`optgroup[data-provider="${providerName}"]`);
+    if (!group || !Array.isArray(models) || models.length === 0) return;
+
+    const current = model.value;
+    group.innerHTML = "";
+    for (const m of models) {
+      const option = document.createElement("option");
+      option.value = m.id;
+      option.textContent = m.displayName && m.displayName !== m.id ? `${m.id} (${m.displayName})` : m.id;
+      if (m.inputTokenLimit) option.dataset.inputTokenLimit = m.inputTokenLimit;
+      if (m.outputTokenLimit) option.dataset.outputTokenLimit = m.outputTokenLimit;
+      group.appendChild(option);
+    }
+    selectModel(current);
+  }
+
+  // Clamp maxTokens to the selected model's real output limit (when the model list told us)
+  function clampMaxTokens() {
+    const selected = model.selectedOptions[0];
+    const outputLimit = selected ? parseInt(selected.dataset.outputTokenLimit, 10) : NaN;
+    const inputLimit = selected ? parseInt(selected.dataset.inputTokenLimit, 10) : NaN;
+
+    maxTokens.max = outputLimit || defaultMaxTokensLimit;
+    if (outputLimit && parseInt(maxTokens.value, 10) > outputLimit) {
+      maxTokens.value = outputLimit;
+    }
+
+    if (outputLimit || inputLimit) {
+      modelLimits.textContent = `Model limits: ${inputLimit ? inputLimit.toLocaleString() : "?"} input / ${outputLimit ? outputLimit.toLocaleString() : "?"} output tokens`;
+      modelLimits.style.display = "block";
+    } else {
+      modelLimits.style.display = "none";
+    }
+  }
+
+  model.addEventListener("change", clampMaxTokens);
+  maxTokens.addEventListener("change", clampMaxTokens);
+
+  // Show what has been used against the budgets. Counters from an earlier day/month don't count.
+  function showBudgetUsage(usage) {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    const month = `${now.getFullYear()}-${pad(now.getMonth() + 1)}`;
+    const day = `${month}-${pad(now.getDate())}`;
+    const requests = usage && usage.day === day ? usage.requests : 0;
+    const tokens = usage && usage.month === month ? usage.tokens : 0;
+    const spend = usage && usage.month === month ? usage.spend : 0;
+    budgetUsage.textContent = `Used: ${requests} requests today, ${tokens.toLocaleString()} tokens and ~$${spend.toFixed(2)} this month.`;
+  }
+
+  // Sampling presets: { name: { temperature, topP, topK, stopSequences } }. The fields below
+  // the preset picker always show the selected preset; edits are kept in memory until Save.
+  let presets = {};
+  let shownPreset = null;
+  let activePreset = null; // Chosen on the toolbar; the picker here only chooses which preset to edit
+
+  function fillPresetSelect(selected) {
+    presetSelect.innerHTML = "";
+    for (const name of Object.keys(presets)) {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      presetSelect.appendChild(option);
+    }
+    presetSelect.value = presets[selected] ? selected : Object.keys(presets)[0];
+    showPresetFields();
+  }
+
+  function showPresetFields() {
+    const preset = presets[presetSelect.value] || {};
+    temperature.value = preset.temperature ?? "";
+    topP.value = preset.topP ?? "";
+    topK.value = preset.topK ?? "";
+    stopSequences.value = (preset.stopSequences || []).join("\n");
+    shownPreset = presetSelect.value;
+  }
+
+  // Copy the fields back into the preset they were showing
+  function readPresetFields() {
+    if (!shownPreset || !presets[shownPreset]) return;
+    const number = (input) => (input.value.trim() === "" ? null : parseFloat(input.value));
+    presets[shownPreset] = {
+      temperature: number(temperature),
+      topP: number(topP),
+      topK: topK.value.trim() === "" ? null : parseInt(topK.value, 10),
+      stopSequences: stopSequences.value.split("\n").filter(line => line !== "")
+    };
+  }
+
+  presetSelect.addEventListener("change", () => {
+    readPresetFields();
+    showPresetFields();
+  });
+
+  newPresetBtn.addEventListener("click", () => {
+    const name = (prompt("Name for the new preset:") || "").trim();
+    if (!name) return;
+    if (presets[name]) {
+      alert(`A preset named "${name}" already exists.`);
+      return;
+    }
+    // Start from the values currently shown
+    readPresetFields();
+    presets[name] = { ...presets[shownPreset] };
+    fillPresetSelect(name);
+  });
+
+  deletePresetBtn.addEventListener("click", () => {
+    if (Object.keys(presets).length <= 1) {
+      alert("Keep at least one preset.");
+      return;
+    }
+    delete presets[presetSelect.value];
+    shownPreset = null;
+    fillPresetSelect(Object.keys(presets)[0]);
+  });
+
+  // Gateway headers <-> "Name: value" lines
+  function formatCustomHeaders(headers) {
+    return Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join("\n");
+  }
+
+  // Returns { headers } or { error } naming the first line that couldn't be read
+  function parseCustomHeaders(text) {
+    const headers = {};
+    const lines = text.split("\n").map(line => line.trim()).filter(Boolean);
+    for (const line of lines) {
+      const match = line.match(/^([A-Za-z0-9!#$%&'*+.^_`|~-]+)\s*:\s*(.*)$/);
+      if (!match) {
+        return { error: `Couldn't read header line "${line}". Use: Name: value` };
+      }
+      headers[match[1]] = match[2];
+    }
+    return { headers: headers };
+  }
+
+  // Host patterns ("https://gw.example.com/*") the background worker sends requests to: the gateway
+  // URL template's host when there is one, else the API base URL's. Hosts the manifest already
+  // grants (localhost) are left out.
+  function gatewayOrigins(base, template) {
+    const urls = [template ? template.replace(/\{apiBase\}/g, base).replace(/\{(path|model|provider)\}/g, "x") : base];
+    const origins = new Set();
+    for (const url of urls) {
+      try {
+        const parsed = new URL(url);
+        if ((parsed.protocol === "https:" || parsed.protocol === "http:") && !["localhost", "127.0.0.1"].includes(parsed.hostname)) {
+          origins.add(`${parsed.protocol}//${parsed.hostname}/*`);
+        }
+      } catch (e) {
+        // Empty or not a URL (e.g. mock://offline) - nothing to grant
+      }
+    }
+    return Array.from(origins);
+  }
+
+  // Ask for access to the API and gateway hosts, so requests through a gateway or with custom headers
+  // aren't blocked by a CORS preflight. Runs once the settings are stored, since the permission
+  // prompt may close the popup; the Save click still counts as the user gesture the request needs.
+  // Hosts already granted are not asked for again. Calls done() when finished.
+  function requestGatewayAccess(origins, done) {
+    if (origins.length === 0) return done();
+    chrome.permissions.contains({ origins: origins }, (hasAccess) => {
+      if (hasAccess) return done();
+      chrome.permissions.request({ origins: origins }, (granted) => {
+        if (!granted) {
+          alert(`Without access to ${origins.join(", ")}, gateway requests may be blocked (CORS). Save again to grant it.`);
+        }
+        done();
+      });
+    });
+  }
+
+  // Price table <-> "model = input, output" lines (USD per 1M tokens)
+  function formatModelPrices(table) {
+    return Object.entries(table)
+      .map(([name, price]) => `${name} = ${price.input}, ${price.output}`)
+      .join("\n");
+  }
+
+  // Returns { table } or { error } naming the first line that couldn't be read
+  function parseModelPrices(text) {
+    const table = {};
+    const lines = text.split("\n").map(line => line.trim()).filter(Boolean);
+    for (const line of lines) {
+      const match = line.match(/^([^=]+?)\s*=\s*([\d.]+)\s*,\s*([\d.]+)$/);
+      if (!match || isNaN(parseFloat(match[2])) || isNaN(parseFloat(match[3]))) {
+        return { error: `Couldn't read model price line "${line}". Use: model = input, output` };
+      }
+      table[match[1]] = { input: parseFloat(match[2]), output: parseFloat(match[3]) };
+    }
+    return { table: table };
+  }
+
+  refreshModelsBtn.addEventListener("click", () => {
+    refreshModelsBtn.disabled = true;
+    modelsStatus.textContent = "Loading models...";
+
+    // Let the background try the values typed here even if they haven't been saved yet
+    const overrides = {
+      provider: provider.value === "auto" ? "" : provider.value,
+      apiBase: apiBase.value.trim(),
+      apiKey: apiKey.value.trim()
+    };
+    chrome.runtime.sendMessage({ type: "LIST_MODELS", overrides: overrides, profile: profileSelect.value }, (response) => {
+      refreshModelsBtn.disabled = false;
+      if (chrome.runtime.lastError) {
+        modelsStatus.textContent = "";
+        alert("Error loading models: " + chrome.runtime.lastError.message);
+      } else if (response && response.ok) {
+        fillModelGroup(response.provider, response.models);
+        syncProviderFields();
+        clampMaxTokens();
+        modelsStatus.textContent = response.models.length > 0
+          ? `${response.models.length} models loaded`
+          : "No models found";
+      } else {
+        modelsStatus.textContent = "";
+        alert("Error loading models: " + (response?.error || "Unknown error"));
+      }
+    });
+  });
+
+  // Settings profiles. The Default profile is the top-level settings; named profiles live in
+  // "profiles" as { name: { ...settings, accounts } } and are picked per Gmail account. The
+  // profile fields (provider, key, model, tone, persona, budgets) show the selected profile as last saved.
+  const DEFAULT_PROFILE = "Default";
+  const PROFILE_SETTING_KEYS = ["provider", "apiBase", "apiKey", "apiKeyEncrypted", "customHeaders", "urlTemplate", "model", "fallbackModels",
+    "maxTokens", "maxContextTokens", "toneMode", "maxRequestsPerDay", "maxTokensPerMonth", "maxSpendPerMonth",
+    "personaName", "personaRole", "personaCompany", "signOff", "signature", "appendSignature"];
+  let defaultProfile = {};
+  let profiles = {};
+
+  function profileSettings(name) {
+    return name === DEFAULT_PROFILE ? defaultProfile : profiles[name] || {};
+  }
+
+  // chrome.storage.session key holding a profile's unlocked API key (must match background.js)
+  function sessionApiKeyName(name) {
+    return name === DEFAULT_PROFILE ? "apiKey" : `apiKey:${name}`;
+  }
+
+  function budgetUsageKey(name) {
+    return name === DEFAULT_PROFILE ? "budgetUsage" : `budgetUsage:${name}`;
+  }
+
+  function fillProfileSelect(selected) {
+    profileSelect.innerHTML = "";
+    for (const name of [DEFAULT_PROFILE, ...Object.keys(profiles)]) {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      profileSelect.appendChild(option);
+    }
+    profileSelect.value = profiles[selected] ? selected : DEFAULT_PROFILE;
+    showProfileFields();
+  }
+
+  function showProfileFields() {
+    const name = profileSelect.value;
+    const settings = profileSettings(name);
+    const isDefault = name === DEFAULT_PROFILE;
+    provider.value = settings.provider || "auto";
+    apiBase.value = settings.apiBase || "";
+    apiKey.value = settings.apiKey || "";
+    urlTemplate.value = settings.urlTemplate || "";
+    customHeaders.value = formatCustomHeaders(settings.customHeaders || {});
+    selectModel(settings.model || "gemini-2.5-pro");
+    fallbackModels.value = Array.isArray(settings.fallbackModels) ? settings.fallbackModels.join(", ") : "";
+    maxTokens.value = settings.maxTokens || 4096;
+    maxContextTokens.value = settings.maxContextTokens ?? "";
+    toneMode.value = settings.toneMode || "match";
+    personaName.value = settings.personaName || "";
+    personaRole.value = settings.personaRole || "";
+    personaCompany.value = settings.personaCompany || "";
+    signOff.value = settings.signOff || "";
+    signature.value = settings.signature || "";
+    appendSignature.checked = !!settings.appendSignature;
+    maxRequestsPerDay.value = settings.maxRequestsPerDay || "";
+    maxTokensPerMonth.value = settings.maxTokensPerMonth || "";
+    maxSpendPerMonth.value = settings.maxSpendPerMonth || "";
+    encryptApiKey.checked = !!settings.apiKeyEncrypted;
+    keyPassphrase.value = "";
+    profileAccounts.value = (settings.accounts || []).join(", ");
+    profileAccountsSection.style.display = isDefault ? "none" : "block";
+    deleteProfileBtn.disabled = isDefault;
+    syncEncryptionFields();
+    syncProviderFields();
+    clampMaxTokens();
+    showKeyLockStatus();
+    const usageKey = budgetUsageKey(name);
+    chrome.storage.local.get([usageKey], (res) => showBudgetUsage(res[usageKey]));
+  }
+
+  // The profile fields as typed, without the API key (see readApiKeyFields).
+  // Header lines that can't be read are dropped here; Save checks them first.
+  function readProfileFields() {
+    return {
+      provider: provider.value,
+      apiBase: apiBase.value.trim(),
+      urlTemplate: urlTemplate.value.trim(),
+      customHeaders: parseCustomHeaders(customHeaders.value).headers || {},
+      model: model.value,
+      fallbackModels: fallbackModels.value.split(",").map(m => m.trim()).filter(Boolean),
+      maxTokens: parseInt(maxTokens.value, 10) || 4096,
+      // Empty = the default cap (8000), 0 = the model's whole context window
+      maxContextTokens: maxContextTokens.value.trim() === "" ? null : Math.max(0, parseInt(maxContextTokens.value, 10) || 0),
+      toneMode: toneMode.value,
+      personaName: personaName.value.trim(),
+      personaRole: personaRole.value.trim(),
+      personaCompany: personaCompany.value.trim(),
+      signOff: signOff.value.trim(),
+      signature: signature.value.trim(),
+      appendSignature: appendSignature.checked,
+      // 0 = no limit
+      maxRequestsPerDay: Math.max(0, parseInt(maxRequestsPerDay.value, 10) || 0),
+      maxTokensPerMonth: Math.max(0, parseInt(maxTokensPerMonth.value, 10) || 0),
+      maxSpendPerMonth: Math.max(0, parseFloat(maxSpendPerMonth.value) || 0)
+    };
+  }
+
+  // Switching shows the other profile's saved settings; unsaved edits to the profile fields are dropped
+  profileSelect.addEventListener("change", showProfileFields);
+
+  newProfileBtn.addEventListener("click", () => {
+    const name = (prompt("Name for the new profile:") || "").trim();
+    if (!name) return;
+    if (name === DEFAULT_PROFILE || profiles[name]) {
+      alert(`A profile named "${name}" already exists.`);
+      return;
+    }
+    // Start from the values currently shown, minus the API key
+    profiles[name] = { ...readProfileFields(), accounts: [] };
+    fillProfileSelect(name);
+  });
+
+  deleteProfileBtn.addEventListener("click", () => {
+    const name = profileSelect.value;
+    if (name === DEFAULT_PROFILE) return;
+    if (!confirm(`Delete the profile "${name}"? Accounts mapped to it will use Default. Click Save to apply.`)) return;
+    delete profiles[name];
+    chrome.storage.session.remove([sessionApiKeyName(name)]);
+    fillProfileSelect(DEFAULT_PROFILE);
+  });
+
+  // Passphrase encryption for the API key. The key is encrypted with AES-GCM under a key derived
+  // from the passphrase (PBKDF2) and stored as apiKeyEncrypted. Unlocking puts the plain key in
+  // chrome.storage.session, which lives in memory until the browser closes and which content
+  // scripts can't read; the background reads it from there.
+  const PBKDF2_ITERATIONS = 310000;
+  const defaultKeyPlaceholder = apiKey.placeholder;
+
+  function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  }
+
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async function encryptSecret(secret, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, key, new TextEncoder().encode(secret));
+    return { salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data), iterations: PBKDF2_ITERATIONS };
+  }
+
+  // Rejects when the passphrase is wrong (AES-GCM authentication fails)
+  async function decryptSecret(encrypted, passphrase) {
+    const key = await deriveKey(passphrase, fromBase64(encrypted.salt), encrypted.iterations || PBKDF2_ITERATIONS);
+    const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(encrypted.iv) }, key, fromBase64(encrypted.data));
+    return new TextDecoder().decode(data);
+  }
+
+  // Show whether the shown profile's encrypted key is usable in this browser session
+  async function showKeyLockStatus() {
+    const name = profileSelect.value;
+    const { apiKeyEncrypted } = profileSettings(name);
+    const sessionKey = sessionApiKeyName(name);
+    const session = await chrome.storage.session.get([sessionKey]);
+    unlockBtn.style.display = apiKeyEncrypted ? "" : "none";
+    apiKey.placeholder = apiKeyEncrypted ? "Key is encrypted - paste a new one to replace it" : defaultKeyPlaceholder;
+    if (!apiKeyEncrypted) {
+      keyLockStatus.textContent = "";
+    } else if (session[sessionKey]) {
+      keyLockStatus.textContent = "Unlocked until the browser closes";
+    } else {
+      keyLockStatus.textContent = "Locked - enter the passphrase and click Unlock";
+    }
+  }
+
+  function syncEncryptionFields() {
+    passphraseSection.style.display = encryptApiKey.checked ? "block" : "none";
+  }
+
+  encryptApiKey.addEventListener("change", syncEncryptionFields);
+
+  unlockBtn.addEventListener("click", async () => {
+    const name = profileSelect.value;
+    const { apiKeyEncrypted } = profileSettings(name);
+    if (!apiKeyEncrypted) return;
+    try {
+      const secret = await decryptSecret(apiKeyEncrypted, keyPassphrase.value);
+      await chrome.storage.session.set({ [sessionApiKeyName(name)]: secret });
+      keyPassphrase.value = "";
+    } catch (err) {
+      alert("Wrong passphrase - the API key is still locked.");
+    }
+    showKeyLockStatus();
+  });
+
+  // Work out how the shown profile's API key is stored: { apiKey } in plain text or
+  // { apiKeyEncrypted } under the passphrase, depending on the checkbox.
+  // An empty key field keeps the key the profile already has.
+  async function readApiKeyFields(current, sessionKey) {
+    const typed = apiKey.value.trim();
+
+    if (!encryptApiKey.checked) {
+      let plain = typed || current.apiKey;
+      if (!plain && current.apiKeyEncrypted) {
+        // Turning encryption off needs the plain key, which we only have once it is unlocked
+        const session = await chrome.storage.session.get([sessionKey]);
+        if (!session[sessionKey]) {
+          throw new Error("Unlock the API key with your passphrase before turning encryption off.");
+        }
+        plain = session[sessionKey];
+      }
+      await chrome.storage.session.remove([sessionKey]);
+      return plain ? { apiKey: plain } : {};
+    }
+
+    const plain = typed || current.apiKey;
+    if (!plain) {
+      // Already encrypted (or no key yet)
+      return current.apiKeyEncrypted ? { apiKeyEncrypted: current.apiKeyEncrypted } : {};
+    }
+    if (!keyPassphrase.value) {
+      throw new Error("Enter a passphrase to encrypt the API key with.");
+    }
+    const encrypted = await encryptSecret(plain, keyPassphrase.value);
+    // Saving with the passphrase counts as unlocking it for this session
+    await chrome.storage.session.set({ [sessionKey]: plain });
+    keyPassphrase.value = "";
+    return { apiKeyEncrypted: encrypted };
+  }
+
+  // Only offer the models that belong to the chosen provider (all of them when auto-detecting)
+  function syncProviderFields() {
+    const chosen = provider.value;
+    for (const group of model.querySelectorAll("optgroup")) {
+      group.hidden = chosen !== "auto" && group.dataset.provider !== chosen;
+    }
+    const selected = model.selectedOptions[0];
+    if (selected && selected.parentElement.hidden) {
+      const firstVisible = model.querySelector("optgroup:not([hidden]) option");
+      if (firstVisible) model.value = firstVisible.value;
+    }
+
+    const isLocal = chosen === "ollama";
+    localNote.style.display = isLocal ? "block" : "none";
+    mockSection.style.display = chosen === "mock" ? "block" : "none";
+    const geminiOptions = chosen === "auto" || chosen === "gemini" ? "block" : "none";
+    safetySection.style.display = geminiOptions;
+    thinkingSection.style.display = geminiOptions;
+    apiBase.placeholder = isLocal ? "http://localhost:11434" : "https://generativelanguage.googleapis.com/v1beta";
+  }
+
+  provider.addEventListener("change", syncProviderFields);
+
   // Load stored values
-  chrome.storage.local.get(["apiBase", "apiKey", "model", "maxTokens", "toneMode"], (res) => {
-    if (res.apiBase) apiBase.value = res.apiBase;
-    if (res.apiKey) apiKey.value = res.apiKey;
-    if (res.model) model.value = res.model;
-    if (res.maxTokens) maxTokens.value = res.maxTokens;
-    if (res.toneMode) toneMode.value = res.toneMode;
+  chrome.storage.local.get(["provider", "apiBase", "apiKey", "model", "maxTokens", "maxContextTokens", "toneMode",
+    "personaName", "personaRole", "personaCompany", "signOff", "signature", "appendSignature", "streamingEnabled", "maxRetries", "fallbackModels", "modelCache", "replyVariants", "modelPrices",
+    "maxRequestsPerDay", "maxTokensPerMonth", "maxSpendPerMonth", "safetySettings",
+    "generationPresets", "activePreset", "thinkingBudget", "includeThoughts", "jsonReplyMode",
+    "cacheEnabled", "cacheTtlMinutes", "cacheMaxEntries", "maxConcurrentRequests", "maxRequestsPerMinute", "apiKeyEncrypted", "profiles",
+    "mockDelayMs", "mockErrorRate", "mockReplyTemplate"], (res) => {
+    // Use the cached model lists (from "Refresh models") instead of the built-in defaults
+    if (res.modelCache) {
+      for (const [providerName, entry] of Object.entries(res.modelCache)) {
+        fillModelGroup(providerName, entry.models);
+      }
+    }
+    defaultProfile = Object.fromEntries(PROFILE_SETTING_KEYS.filter(key => res[key] !== undefined).map(key => [key, res[key]]));
+    profiles = res.profiles || {};
+    fillProfileSelect(DEFAULT_PROFILE);
+    if (res.maxRetries !== undefined) maxRetries.value = res.maxRetries;
+    if (res.maxConcurrentRequests) maxConcurrentRequests.value = res.maxConcurrentRequests;
+    if (res.maxRequestsPerMinute) maxRequestsPerMinute.value = res.maxRequestsPerMinute;
+    if (res.replyVariants) replyVariants.value = res.replyVariants;
+    if (res.modelPrices) modelPrices.value = formatModelPrices(res.modelPrices);
+    if (Number.isInteger(res.thinkingBudget)) thinkingBudget.value = res.thinkingBudget;
+    includeThoughts.checked = !!res.includeThoughts;
+    presets = res.generationPresets || { "Default": {} };
+    activePreset = res.activePreset || "Default";
+    fillPresetSelect(activePreset);
+    if (res.safetySettings) {
+      for (const select of safetySelects) {
+        select.value = res.safetySettings[select.dataset.category] || "";
+      }
+    }
+    streamingEnabled.checked = res.streamingEnabled !== false; // Default to true
+    jsonReplyMode.checked = !!res.jsonReplyMode;
+    cacheEnabled.checked = res.cacheEnabled !== false; // Default to true
+    if (res.cacheTtlMinutes) cacheTtlMinutes.value = res.cacheTtlMinutes;
+    if (res.cacheMaxEntries) cacheMaxEntries.value = res.cacheMaxEntries;
+    if (res.mockDelayMs !== undefined) mockDelayMs.value = res.mockDelayMs;
+    if (res.mockErrorRate !== undefined) mockErrorRate.value = res.mockErrorRate;
+    if (res.mockReplyTemplate) mockReplyTemplate.value = res.mockReplyTemplate;
+    syncProviderFields();
+    clampMaxTokens();
   });
 
   // Load logging enabled state (from sync storage for persistence)
@@ -42,28 +629,130 @@ document.addEventListener("DOMContentLoaded", () => {
   });
 
   saveBtn.addEventListener("click", () => {
+    clampMaxTokens();
+    const prices = parseModelPrices(modelPrices.value);
+    if (prices.error) {
+      alert(prices.error);
+      return;
+    }
+    const headers = parseCustomHeaders(customHeaders.value);
+    if (headers.error) {
+      alert(headers.error);
+      return;
+    }
+    if (urlTemplate.value.trim() && !urlTemplate.value.includes("{path}")) {
+      alert("The gateway URL template needs {path} where the provider's endpoint path goes.");
+      return;
+    }
+    // Only a gateway URL template or extra headers need host access beyond the manifest's
+    const gatewayAccess = urlTemplate.value.trim() || customHeaders.value.trim()
+      ? gatewayOrigins(apiBase.value.trim(), urlTemplate.value.trim())
+      : [];
+    readPresetFields();
     const toSave = {
-      apiBase: apiBase.value.trim(),
-      apiKey: apiKey.value.trim(),
-      model: model.value,
-      maxTokens: parseInt(maxTokens.value, 10) || 4096,
-      toneMode: toneMode.value
+      maxRetries: Math.min(5, Math.max(0, parseInt(maxRetries.value, 10) || 0)),
+      maxConcurrentRequests: Math.min(5, Math.max(1, parseInt(maxConcurrentRequests.value, 10) || 2)),
+      maxRequestsPerMinute: Math.max(0, parseInt(maxRequestsPerMinute.value, 10) || 0), // 0 = no limit
+      replyVariants: Math.min(4, Math.max(1, parseInt(replyVariants.value, 10) || 1)),
+      streamingEnabled: streamingEnabled.checked,
+      jsonReplyMode: jsonReplyMode.checked,
+      cacheEnabled: cacheEnabled.checked,
+      cacheTtlMinutes: Math.max(1, parseInt(cacheTtlMinutes.value, 10) || 60),
+      cacheMaxEntries: Math.max(1, parseInt(cacheMaxEntries.value, 10) || 100),
+      modelPrices: prices.table,
+      mockDelayMs: Math.max(0, parseInt(mockDelayMs.value, 10) || 0),
+      mockErrorRate: Math.min(100, Math.max(0, parseFloat(mockErrorRate.value) || 0)),
+      mockReplyTemplate: mockReplyTemplate.value.trim() ? mockReplyTemplate.value : "",
+      // Only categories moved off "Default" are sent to Gemini
+      safetySettings: Object.fromEntries(safetySelects.filter(s => s.value).map(s => [s.dataset.category, s.value])),
+      // Empty = let the model decide
+      thinkingBudget: thinkingBudget.value.trim() === "" ? null : Math.max(-1, parseInt(thinkingBudget.value, 10) || 0),
+      includeThoughts: includeThoughts.checked,
+      generationPresets: presets
     };
-    chrome.storage.local.set(toSave, () => {
-      // Also save logging state
-      chrome.storage.sync.set({ loggingEnabled: loggingEnabled.checked }, () => {
-        alert("Settings saved locally.");
-        // clear password field visually but keep it in storage
-        apiKey.value = "••••••••";
-        setTimeout(() => apiKey.value = "", 400);
+    // The active preset is picked on the Gmail toolbar; only move it off a preset that was deleted here
+    if (!presets[activePreset]) {
+      activePreset = Object.keys(presets)[0];
+      toSave.activePreset = activePreset;
+    }
+    // The profile fields go to the top-level keys for Default, or into "profiles" for a named profile
+    const profileName = profileSelect.value;
+    readApiKeyFields(profileSettings(profileName), sessionApiKeyName(profileName)).then((keyFields) => {
+      const settings = { ...readProfileFields(), ...keyFields };
+      let staleKeys = [];
+      if (profileName === DEFAULT_PROFILE) {
+        defaultProfile = settings;
+        Object.assign(toSave, settings);
+        staleKeys = ["apiKey", "apiKeyEncrypted"].filter(key => !(key in settings));
+      } else {
+        settings.accounts = profileAccounts.value.split(",").map(a => a.trim()).filter(Boolean);
+        profiles[profileName] = settings;
+      }
+      toSave.profiles = profiles;
+      chrome.storage.local.remove(staleKeys, () => {
+        chrome.storage.local.set(toSave, () => {
+          // Also save logging state
+          chrome.storage.sync.set({ loggingEnabled: loggingEnabled.checked }, () => {
+            requestGatewayAccess(gatewayAccess, () => {
+              alert("Settings saved locally.");
+              // clear password field visually but keep it in storage
+              apiKey.value = "••••••••";
+              setTimeout(() => apiKey.value = "", 400);
+              showKeyLockStatus();
+            });
+          });
+        });
       });
+    }).catch((err) => {
+      alert(err.message);
     });
   });
 
+  // Clears the key of the profile shown
   clearBtn.addEventListener("click", () => {
-    chrome.storage.local.remove(["apiKey"], () => {
-      alert("API key cleared from storage.");
-      apiKey.value = "";
+    const profileName = profileSelect.value;
+    const done = () => {
+      chrome.storage.session.remove([sessionApiKeyName(profileName)], () => {
+        alert("API key cleared from storage.");
+        apiKey.value = "";
+        showKeyLockStatus();
+      });
+    };
+    const settings = profileSettings(profileName);
+    delete settings.apiKey;
+    delete settings.apiKeyEncrypted;
+    if (profileName === DEFAULT_PROFILE) {
+      chrome.storage.local.remove(["apiKey", "apiKeyEncrypted"], done);
+    } else if (profiles[profileName]) {
+      chrome.storage.local.set({ profiles: profiles }, done);
+    } else {
+      done();
+    }
+  });
+
+  // Cached replies live in the service worker's IndexedDB, so ask it for the numbers
+  function showCacheStats() {
+    chrome.runtime.sendMessage({ type: "CACHE_STATS" }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.ok) {
+        cacheStats.textContent = "";
+        return;
+      }
+      cacheStats.textContent = response.entries > 0
+        ? `${response.entries} cached ${response.entries === 1 ? "reply" : "replies"} (${Math.ceil(response.bytes / 1024)} KB)`
+        : "Cache is empty";
+    });
+  }
+  showCacheStats();
+
+  clearCacheBtn.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ type: "CLEAR_CACHE" }, (response) => {
+      if (chrome.runtime.lastError) {
+        alert("Error clearing cache: " + chrome.runtime.lastError.message);
+      } else if (response && response.ok) {
+        showCacheStats();
+      } else {
+        alert("Error clearing cache: " + (response?.error || "Unknown error"));
+      }
     });
   });
 